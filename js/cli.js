@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// Command line entry point: simulate a model file from disk and write the results
+// as JSON or CSV, so design changes can be checked for splashback regressions in CI
+//
+// Usage: node js/cli.js <model> [options]   (run with --help for the full list)
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import * as THREE from 'three';
+import { ModelLoader } from './modelLoader.js';
+import { SimulationEngine } from './simulationEngine.js';
+import { ResultAnalysis } from './resultAnalysis.js';
+import { UserZone } from './userZone.js';
+
+const USAGE = `Usage: node js/cli.js <model.obj|model.stl|model.glb> [options]
+
+Model:
+  --units <mm|cm|m|in>         Units the model was exported in (default m)
+
+Source and stream:
+  --source <x,y,z>             Source position in metres (default 0,1,0.7)
+  --velocity <m/s>             Stream exit velocity (default 2.5)
+  --flow-rate <mL/s>           Flow rate, used with --stream-diameter instead of --velocity
+  --stream-diameter <mm>       Stream diameter for --flow-rate (default 4)
+  --aim <x,y,z>                Aim direction (default 0,0,-1)
+  --spread <degrees>           Spread half-angle of the stream cone
+  --jitter <none|uniform|normal>
+  --sampler <name>             Direction sampler: rings (default), random, stratified,
+                               halton or sobol
+  --samples <count>            Directions drawn by samplers other than rings
+  --seed <n>                   Seed for the sampler, the same seed repeats a run exactly
+  --user-zone <box|capsule>    Count splash reaching the default user zone of this shape
+  --param <name=value>         Any other simulation parameter, e.g. --param restitution=0.4
+                               (repeatable)
+
+Run and output:
+  --time-budget <seconds>      Stop tracing early and report partial results
+  --format <json|csv>          Output format (default json). CSV holds the per-face table
+                               and the summary goes to stderr
+  --output <file>              Write to a file instead of stdout
+  --help                       Show this message
+
+Like the browser page, the model is centred horizontally and keeps its height above the floor.`;
+
+const OPTIONS = {
+    units: { type: 'string', default: 'm' },
+    source: { type: 'string', default: '0,1,0.7' },
+    velocity: { type: 'string' },
+    'flow-rate': { type: 'string' },
+    'stream-diameter': { type: 'string', default: '4' },
+    aim: { type: 'string' },
+    spread: { type: 'string' },
+    jitter: { type: 'string' },
+    sampler: { type: 'string' },
+    samples: { type: 'string' },
+    seed: { type: 'string' },
+    'user-zone': { type: 'string' },
+    param: { type: 'string', multiple: true, default: [] },
+    'time-budget': { type: 'string', default: '0' },
+    format: { type: 'string', default: 'json' },
+    output: { type: 'string' },
+    help: { type: 'boolean', default: false }
+};
+
+const DEFAULT_EXIT_VELOCITY = 2.5;
+
+// Per-face columns written to the results table
+const FACE_COLUMNS = ['index', 'mesh', 'meshFace', 'splashback', 'hits', 'reboundHits', 'impactSpeed', 'weber'];
+
+async function main() {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length !== 1) {
+        throw new Error('Expected exactly one model file\n\n' + USAGE);
+    }
+    if (!['json', 'csv'].includes(values.format)) {
+        throw new Error(`Unknown format: ${values.format}. Use json or csv.`);
+    }
+
+    const modelPath = positionals[0];
+    const model = await loadModelFile(modelPath, values.units);
+    const sourcePoint = parseVector(values.source, 'source');
+    const exitVelocity = getExitVelocity(values);
+    const parameters = getParameters(values);
+
+    const results = SimulationEngine.simulateSplashback(
+        SimulationEngine.extractModelData(model),
+        sourcePoint,
+        exitVelocity,
+        parameters,
+        { timeBudget: parseNumber(values['time-budget'], 'time-budget') * 1000 }
+    );
+
+    const summary = ResultAnalysis.summarizeResults(results);
+    const faces = results.faceData.map(face => pickFaceColumns(face, results.meshes));
+    let output;
+    if (values.format === 'csv') {
+        output = formatCsv(faces);
+        console.error(JSON.stringify(summary, null, 2));
+    } else {
+        output = JSON.stringify({
+            model: basename(modelPath),
+            units: values.units,
+            sourcePoint,
+            exitVelocity,
+            parameters: SimulationEngine.validateParameters(parameters),
+            summary,
+            meshes: ResultAnalysis.summarizeMeshes(results).map(({ uuid, ...mesh }) => mesh),
+            faces
+        }, null, 2) + '\n';
+    }
+
+    if (values.output) {
+        await writeFile(values.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+// Read and parse the model with the same loader the browser uses
+async function loadModelFile(modelPath, units) {
+    const file = await readFile(modelPath);
+    const content = modelPath.toLowerCase().endsWith('.obj')
+        ? file.toString('utf8')
+        : file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+
+    const model = await new ModelLoader().parseModel(basename(modelPath), content, units);
+
+    // Match SceneManager.resetView, which centres the model horizontally
+    model.updateMatrixWorld(true);
+    const center = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+    model.position.x -= center.x;
+    model.position.z -= center.z;
+    model.updateMatrixWorld(true);
+
+    return model;
+}
+
+function getExitVelocity(values) {
+    if (values['flow-rate'] !== undefined) {
+        if (values.velocity !== undefined) {
+            throw new Error('Use either --velocity or --flow-rate, not both');
+        }
+        return SimulationEngine.exitVelocityFromFlowRate(
+            parseNumber(values['flow-rate'], 'flow-rate'),
+            parseNumber(values['stream-diameter'], 'stream-diameter')
+        );
+    }
+    return values.velocity !== undefined ? parseNumber(values.velocity, 'velocity') : DEFAULT_EXIT_VELOCITY;
+}
+
+// Build the parameters object; the engine validates it when the run starts
+function getParameters(values) {
+    const parameters = {};
+
+    for (const entry of values.param) {
+        const separator = entry.indexOf('=');
+        if (separator < 1) {
+            throw new Error(`Expected --param name=value, got: ${entry}`);
+        }
+        const name = entry.slice(0, separator);
+        const value = entry.slice(separator + 1);
+        if (!(name in SimulationEngine.DEFAULT_PARAMETERS)) {
+            throw new Error(`Unknown parameter: ${name}`);
+        }
+        parameters[name] = typeof SimulationEngine.DEFAULT_PARAMETERS[name] === 'number'
+            ? parseNumber(value, name)
+            : value;
+    }
+
+    if (values.aim !== undefined) parameters.aimDirection = parseVector(values.aim, 'aim');
+    if (values.spread !== undefined) parameters.spreadAngle = parseNumber(values.spread, 'spread');
+    if (values.jitter !== undefined) parameters.jitter = values.jitter;
+    if (values.sampler !== undefined) parameters.sampler = values.sampler;
+    if (values.samples !== undefined) parameters.sampleCount = parseNumber(values.samples, 'samples');
+    if (values.seed !== undefined) parameters.seed = parseNumber(values.seed, 'seed');
+    if (values['user-zone'] !== undefined) {
+        parameters.userZone = { ...structuredClone(UserZone.DEFAULT_USER_ZONE), shape: values['user-zone'] };
+    }
+
+    return parameters;
+}
+
+// Mesh UUIDs change every time a model is loaded, so faces name their mesh instead
+function pickFaceColumns(face, meshes) {
+    const row = {};
+    for (const column of FACE_COLUMNS) {
+        row[column] = face[column];
+    }
+    row.mesh = meshes[face.mesh].name;
+    return row;
+}
+
+function formatCsv(faces) {
+    const lines = [FACE_COLUMNS.join(',')];
+    for (const face of faces) {
+        lines.push(FACE_COLUMNS.map(column => csvField(face[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Quote text fields that would break the CSV, such as mesh names with commas
+function csvField(value) {
+    if (typeof value !== 'string' || !/[",\n]/.test(value)) return value;
+    return `"${value.replace(/"/g, '""')}"`;
+}
+
+function parseNumber(text, name) {
+    const value = Number(text);
+    if (text.trim() === '' || !Number.isFinite(value)) {
+        throw new Error(`--${name} must be a number, got: ${text}`);
+    }
+    return value;
+}
+
+function parseVector(text, name) {
+    const parts = text.split(',');
+    if (parts.length !== 3) {
+        throw new Error(`--${name} must be three comma separated numbers, got: ${text}`);
+    }
+    const [x, y, z] = parts.map(part => parseNumber(part, name));
+    return { x, y, z };
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
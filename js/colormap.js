@@ -0,0 +1,184 @@
+// Colormaps shared by the heatmap, floor map, delta view, charts and legend
+// Colors are { r, g, b } with channels from 0 to 1
+
+// Evenly spaced color stops, sampled with linear interpolation
+const COLORMAP_STOPS = {
+    viridis: [
+        '#440154', '#482475', '#414487', '#355f8d', '#2a788e', '#21918c',
+        '#22a884', '#44bf70', '#7ad151', '#bddf26', '#fde725'
+    ],
+    // Blue for low, white in the middle and red for high, for values around zero
+    diverging: ['#2166ac', '#67a9cf', '#d1e5f0', '#f7f7f7', '#fddbc7', '#ef8a62', '#b2182b'],
+    grayscale: ['#000000', '#ffffff']
+};
+
+const COLORMAP_NAMES = ['viridis', 'turbo', 'diverging', 'grayscale'];
+const RANGE_MODES = ['auto', 'fixed'];
+
+// Auto range follows each run's values; fixed uses min and max so runs can be compared
+const DEFAULT_COLOR_SETTINGS = {
+    colormap: 'viridis',
+    range: 'auto',
+    min: 0,
+    max: 1
+};
+
+const parsedStops = {};
+for (const [name, stops] of Object.entries(COLORMAP_STOPS)) {
+    parsedStops[name] = stops.map(hex => ({
+        r: parseInt(hex.slice(1, 3), 16) / 255,
+        g: parseInt(hex.slice(3, 5), 16) / 255,
+        b: parseInt(hex.slice(5, 7), 16) / 255
+    }));
+}
+
+// Color of a colormap at t (0-1)
+function sampleColormap(name, t) {
+    const value = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
+
+    if (name === 'turbo') return sampleTurbo(value);
+
+    const stops = parsedStops[name] || parsedStops.viridis;
+    const position = value * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    const f = position - index;
+    const a = stops[index];
+    const b = stops[index + 1];
+    return {
+        r: a.r + (b.r - a.r) * f,
+        g: a.g + (b.g - a.g) * f,
+        b: a.b + (b.b - a.b) * f
+    };
+}
+
+// Polynomial fit of Google's Turbo colormap (Mikhailov, 2019)
+function sampleTurbo(t) {
+    const r = 0.13572138 + t * (4.61539260 + t * (-42.66032258 + t * (132.13108234 + t * (-152.94239396 + t * 59.28637943))));
+    const g = 0.09140261 + t * (2.19418839 + t * (4.84296658 + t * (-14.18503333 + t * (4.27729857 + t * 2.82956604))));
+    const b = 0.10667330 + t * (12.64194608 + t * (-60.58204836 + t * (110.36276771 + t * (-89.90310912 + t * 27.34824973))));
+    return {
+        r: Math.max(0, Math.min(1, r)),
+        g: Math.max(0, Math.min(1, g)),
+        b: Math.max(0, Math.min(1, b))
+    };
+}
+
+function toCss(color) {
+    return `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+}
+
+// Check color settings and merge them over the defaults
+function validateColorSettings(settings = {}) {
+    const merged = { ...DEFAULT_COLOR_SETTINGS, ...settings };
+    const problems = [];
+
+    if (!COLORMAP_NAMES.includes(merged.colormap)) {
+        problems.push(`colormap must be one of ${COLORMAP_NAMES.join(', ')}`);
+    }
+    if (!RANGE_MODES.includes(merged.range)) {
+        problems.push(`range must be one of ${RANGE_MODES.join(', ')}`);
+    }
+    if (merged.range === 'fixed') {
+        if (!Number.isFinite(merged.min) || !Number.isFinite(merged.max)) {
+            problems.push('a fixed range needs numeric min and max values');
+        } else if (merged.max <= merged.min) {
+            problems.push('the fixed range max must be greater than its min');
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid color settings: ${problems.join('; ')}`);
+    }
+    return merged;
+}
+
+// Map values to colors for the given settings
+// dataMin and dataMax are the values' own range, used when the range is auto
+// Values outside a fixed range take the end colors
+function createColorScale(settings, dataMin, dataMax) {
+    const { colormap, range, min: fixedMin, max: fixedMax } = validateColorSettings(settings);
+    const min = range === 'fixed' ? fixedMin : dataMin;
+    const max = range === 'fixed' ? fixedMax : dataMax;
+
+    const normalize = (value) => max > min ? Math.max(0, Math.min(1, (value - min) / (max - min))) : 0;
+    return {
+        colormap,
+        min,
+        max,
+        normalize,
+        color: (value) => sampleColormap(colormap, normalize(value)),
+        css: (value) => toCss(sampleColormap(colormap, normalize(value)))
+    };
+}
+
+// Round tick values (1, 2 or 5 times a power of ten) covering min to max
+function getTicks(min, max, count = 5) {
+    if (!(max > min)) return [min];
+
+    const rawStep = (max - min) / Math.max(1, count - 1);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const residual = rawStep / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+    const ticks = [];
+    for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+        ticks.push(Number(value.toPrecision(12)));
+    }
+    return ticks;
+}
+
+function formatTick(value) {
+    if (value === 0) return '0';
+    const size = Math.abs(value);
+    return size >= 1000 || size < 0.001 ? value.toExponential(1) : Number(value.toPrecision(3)).toString();
+}
+
+// Draw a horizontal legend bar for a color scale, with numeric ticks and a title
+function drawLegend(canvas, scale, title) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const padding = 20;
+    const barTop = 18;
+    const barHeight = 16;
+    const barWidth = width - padding * 2;
+
+    ctx.clearRect(0, 0, width, height);
+
+    ctx.fillStyle = '#333333';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(title, padding, 2);
+
+    for (let i = 0; i < barWidth; i++) {
+        ctx.fillStyle = toCss(sampleColormap(scale.colormap, i / (barWidth - 1)));
+        ctx.fillRect(padding + i, barTop, 1, barHeight);
+    }
+    ctx.strokeStyle = '#333333';
+    ctx.strokeRect(padding, barTop, barWidth, barHeight);
+
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    for (const tick of getTicks(scale.min, scale.max)) {
+        const x = padding + scale.normalize(tick) * barWidth;
+        ctx.beginPath();
+        ctx.moveTo(x, barTop + barHeight);
+        ctx.lineTo(x, barTop + barHeight + 4);
+        ctx.stroke();
+        ctx.fillText(formatTick(tick), x, barTop + barHeight + 6);
+    }
+}
+
+// Export the functions we need to access from other modules
+export const Colormap = {
+    COLORMAP_NAMES,
+    RANGE_MODES,
+    DEFAULT_COLOR_SETTINGS,
+    sampleColormap,
+    toCss,
+    validateColorSettings,
+    createColorScale,
+    getTicks,
+    formatTick,
+    drawLegend
+};
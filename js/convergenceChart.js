@@ -0,0 +1,94 @@
+// Draws how a Monte Carlo estimate settles as samples are added: the running mean
+// as a line inside its shaded 95% confidence band
+import { Colormap } from './colormap.js';
+
+const MARGIN = { top: 28, right: 16, bottom: 44, left: 64 };
+
+// Draw a convergence list from PopulationStudy.runPopulation onto a canvas
+// Each point is { samples, mean, low, high }; labels holds the axis names: { x, y }
+function drawConvergenceChart(canvas, convergence, labels) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, width, height);
+    if (convergence.length === 0) return;
+
+    // The first sample has no interval, so it doesn't set the range
+    const banded = convergence.length > 1 ? convergence.slice(1) : convergence;
+    let min = Math.min(...banded.map(point => point.low));
+    let max = Math.max(...banded.map(point => point.high));
+    if (!(max > min)) {
+        min -= 1e-6;
+        max += 1e-6;
+    }
+    const lastSample = convergence[convergence.length - 1].samples;
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const toX = (samples) => MARGIN.left + (lastSample > 1 ? (samples - 1) / (lastSample - 1) : 0.5) * plotWidth;
+    const toY = (value) => MARGIN.top + (1 - (value - min) / (max - min)) * plotHeight;
+
+    // Confidence band, along the upper bounds and back along the lower ones
+    ctx.fillStyle = 'rgba(52, 152, 219, 0.25)';
+    ctx.beginPath();
+    banded.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(toX(point.samples), toY(point.high));
+        else ctx.lineTo(toX(point.samples), toY(point.high));
+    });
+    for (let i = banded.length - 1; i >= 0; i--) {
+        ctx.lineTo(toX(banded[i].samples), toY(banded[i].low));
+    }
+    ctx.closePath();
+    ctx.fill();
+
+    // Running mean
+    ctx.strokeStyle = '#2980b9';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    convergence.forEach((point, i) => {
+        const y = toY(Math.max(min, Math.min(max, point.mean)));
+        if (i === 0) ctx.moveTo(toX(point.samples), y);
+        else ctx.lineTo(toX(point.samples), y);
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    ctx.strokeStyle = '#333333';
+    ctx.strokeRect(MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+
+    // Ticks on both axes
+    ctx.fillStyle = '#333333';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (const tick of Colormap.getTicks(1, lastSample)) {
+        if (!Number.isInteger(tick)) continue;
+        ctx.fillText(String(tick), toX(tick), MARGIN.top + plotHeight + 4);
+    }
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (const tick of Colormap.getTicks(min, max)) {
+        ctx.fillText(Colormap.formatTick(tick), MARGIN.left - 4, toY(tick));
+    }
+
+    // Axis titles
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(labels.x, MARGIN.left + plotWidth / 2, height - 4);
+
+    ctx.save();
+    ctx.translate(14, MARGIN.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(labels.y, 0, 0);
+    ctx.restore();
+}
+
+// Export the functions we need to access from other modules
+export const ConvergenceChart = {
+    drawConvergenceChart
+};
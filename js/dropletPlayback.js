@@ -0,0 +1,258 @@
+// Animated playback of a run: droplets fly along their recorded paths in simulated time
+// and faces take on their heatmap color as droplets land on them
+import * as THREE from 'three';
+import { Colormap } from './colormap.js';
+import { HeatmapGenerator } from './heatmapGenerator.js';
+
+// Droplet size in metres
+const DROPLET_RADIUS = 0.004;
+
+const PRIMARY_COLOR = 0x3399ff;
+const REBOUND_COLOR = 0xff9933;
+
+// Faces no droplet has reached yet
+const UNHIT_COLOR = { r: 0.8, g: 0.8, b: 0.8 };
+
+// Positions on the scrub bar
+const SCRUB_STEPS = 1000;
+
+// Matrix that hides a droplet which is not in flight
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+
+export class DropletPlayback {
+    constructor(uiController) {
+        this.ui = uiController;
+        this.results = null;
+        this.active = false;
+        this.playing = false;
+        this.time = 0; // simulated seconds
+        this.duration = 0;
+        this.speed = 0.1; // simulated seconds per real second
+        this.droplets = null;
+
+        // Primary impacts in the order they happen, and how many have landed so far
+        this.impacts = [];
+        this.landed = 0;
+        this.faceTotals = null;
+        this.faceCounts = null;
+    }
+
+    setupEventListeners() {
+        const playButton = document.getElementById('playback-play');
+        if (playButton) {
+            playButton.addEventListener('click', () => this.togglePlaying());
+        } else {
+            console.warn('Element not found: playback-play');
+        }
+
+        const stopButton = document.getElementById('playback-stop');
+        if (stopButton) {
+            stopButton.addEventListener('click', () => this.stop());
+        } else {
+            console.warn('Element not found: playback-stop');
+        }
+
+        // Scrubbing pauses the playback at the chosen moment
+        const scrub = document.getElementById('playback-scrub');
+        if (scrub) {
+            scrub.max = SCRUB_STEPS;
+            scrub.addEventListener('input', (e) => {
+                if (!this.active) this.start();
+                if (!this.active) return;
+                this.playing = false;
+                this.seek(parseInt(e.target.value, 10) / SCRUB_STEPS * this.duration);
+            });
+        } else {
+            console.warn('Element not found: playback-scrub');
+        }
+
+        const speedSelect = document.getElementById('playback-speed');
+        if (speedSelect) {
+            speedSelect.value = this.speed;
+            speedSelect.addEventListener('change', (e) => {
+                this.speed = parseFloat(e.target.value);
+            });
+        } else {
+            console.warn('Element not found: playback-speed');
+        }
+
+        this.updateControls();
+    }
+
+    togglePlaying() {
+        if (!this.active) this.start();
+        if (!this.active) return;
+
+        // Playing again from the end starts over
+        if (!this.playing && this.time >= this.duration) this.seek(0);
+        this.playing = !this.playing;
+        this.updateControls();
+    }
+
+    // Take over the model's colors and add the droplets for the latest run
+    start() {
+        const results = this.ui.lastResults;
+        const model = this.ui.sceneManager.getCurrentModel();
+        if (!results || !results.paths || !model) return;
+
+        this.results = results;
+        this.active = true;
+        this.playing = false;
+
+        const { startTimes, endTimes, primaryCount } = results.paths;
+        const pathCount = startTimes.length;
+        this.duration = endTimes.reduce((longest, end) => Math.max(longest, end), 0);
+        this.impacts = [...results.impacts].sort((a, b) => a.time - b.time);
+        this.faceTotals = new Float64Array(results.faceData.length);
+        this.faceCounts = new Uint32Array(results.faceData.length);
+        this.landed = 0;
+
+        this.droplets = new THREE.InstancedMesh(
+            new THREE.SphereGeometry(DROPLET_RADIUS, 8, 6),
+            new THREE.MeshBasicMaterial(),
+            pathCount
+        );
+        this.droplets.name = 'dropletPlayback';
+        // Droplets move all over the scene, the bounds of the first frame would cull them
+        this.droplets.frustumCulled = false;
+        const primary = new THREE.Color(PRIMARY_COLOR);
+        const rebound = new THREE.Color(REBOUND_COLOR);
+        for (let i = 0; i < pathCount; i++) {
+            this.droplets.setColorAt(i, i < primaryCount ? primary : rebound);
+        }
+        this.ui.sceneManager.getScene().add(this.droplets);
+
+        this.time = 0;
+        this.redrawSurfaces();
+        this.placeDroplets();
+        this.updateControls();
+    }
+
+    // Remove the droplets and give the model back its heatmap
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.playing = false;
+        this.ui.sceneManager.getScene().remove(this.droplets);
+        this.droplets.geometry.dispose();
+        this.droplets.material.dispose();
+        this.droplets = null;
+        this.results = null;
+        this.impacts = [];
+
+        this.ui.applyResultsHeatmap();
+        this.updateControls();
+    }
+
+    // Advance by one frame's real time, called from the render loop
+    update(deltaSeconds) {
+        if (!this.active || !this.playing) return;
+
+        let time = this.time + deltaSeconds * this.speed;
+        if (time >= this.duration) {
+            time = this.duration;
+            this.playing = false;
+        }
+        this.seek(time);
+    }
+
+    // Jump to a moment in simulated time, replaying the impacts before it
+    seek(time) {
+        let changed = false;
+        if (time < this.time) {
+            this.faceTotals.fill(0);
+            this.faceCounts.fill(0);
+            this.landed = 0;
+            changed = true;
+        }
+        this.time = time;
+
+        while (this.landed < this.impacts.length && this.impacts[this.landed].time <= time) {
+            const impact = this.impacts[this.landed];
+            this.faceTotals[impact.face] += impact.splashback;
+            this.faceCounts[impact.face]++;
+            this.landed++;
+            changed = true;
+        }
+
+        if (changed) this.redrawSurfaces();
+        this.placeDroplets();
+        this.updateControls();
+    }
+
+    // Faces hit so far show the mean splashback of the droplets that have landed on them,
+    // which is their heatmap value once every droplet has landed
+    redrawSurfaces() {
+        if (!this.active) return;
+
+        const results = this.results;
+        const scale = Colormap.createColorScale(this.ui.colorSettings, results.minSplashback, results.maxSplashback);
+        HeatmapGenerator.applyFaceColors(this.ui.sceneManager.getCurrentModel(), results, (face) =>
+            this.faceCounts[face] > 0 ? scale.color(this.faceTotals[face] / this.faceCounts[face]) : UNHIT_COLOR);
+        this.ui.updateLegend(scale, 'Splashback factor');
+    }
+
+    // Put each droplet in flight at its place along its path, hiding the rest
+    placeDroplets() {
+        const { points, offsets, startTimes, endTimes, timeStep } = this.results.paths;
+        const matrix = new THREE.Matrix4();
+        const time = this.time;
+
+        for (let path = 0; path < startTimes.length; path++) {
+            const start = startTimes[path];
+            const end = endTimes[path];
+            if (time < start || time > end) {
+                this.droplets.setMatrixAt(path, HIDDEN);
+                continue;
+            }
+
+            // Points are timeStep apart, except the last which is at the end time
+            const first = offsets[path];
+            const last = offsets[path + 1] - 1;
+            const step = Math.min(Math.floor((time - start) / timeStep), last - first - 1);
+            let i = first;
+            let fraction = 0;
+            if (step >= 0) {
+                i = first + step;
+                const stepStart = start + step * timeStep;
+                const stepEnd = i + 1 === last ? end : stepStart + timeStep;
+                fraction = stepEnd > stepStart ? Math.min((time - stepStart) / (stepEnd - stepStart), 1) : 0;
+            }
+            const j = Math.min(i + 1, last);
+
+            matrix.makeTranslation(
+                points[i * 3] + (points[j * 3] - points[i * 3]) * fraction,
+                points[i * 3 + 1] + (points[j * 3 + 1] - points[i * 3 + 1]) * fraction,
+                points[i * 3 + 2] + (points[j * 3 + 2] - points[i * 3 + 2]) * fraction
+            );
+            this.droplets.setMatrixAt(path, matrix);
+        }
+        this.droplets.instanceMatrix.needsUpdate = true;
+    }
+
+    updateControls() {
+        const available = this.active || Boolean(this.ui.lastResults && this.ui.lastResults.paths);
+
+        const playButton = document.getElementById('playback-play');
+        if (playButton) {
+            playButton.disabled = !available;
+            playButton.textContent = this.playing ? 'Pause' : 'Play';
+        }
+        const stopButton = document.getElementById('playback-stop');
+        if (stopButton) stopButton.disabled = !this.active;
+
+        const scrub = document.getElementById('playback-scrub');
+        if (scrub) {
+            scrub.disabled = !available;
+            scrub.value = this.active && this.duration > 0 ? Math.round(this.time / this.duration * SCRUB_STEPS) : 0;
+        }
+
+        const timeEl = document.getElementById('playback-time');
+        if (timeEl) {
+            timeEl.textContent = this.active
+                ? `t = ${this.time.toFixed(3)} s of ${this.duration.toFixed(3)} s, ${this.landed} of ${this.impacts.length} impacts landed`
+                : '';
+        }
+    }
+}
@@ -0,0 +1,154 @@
+// Click-to-inspect details of a single face after a simulation run
+import * as THREE from 'three';
+import { ResultAnalysis } from './resultAnalysis.js';
+import { HtmlText } from './htmlText.js';
+
+// Pointer movement (pixels) between press and release that counts as a drag, not a click
+const CLICK_TOLERANCE = 4;
+
+// Most impacts listed for a face, the rest are summarised
+const MAX_LISTED_IMPACTS = 10;
+
+export class FaceInspector {
+    constructor(uiController) {
+        this.ui = uiController;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pressPosition = null;
+        this.selectedFace = null;
+    }
+
+    setupEventListeners() {
+        const canvas = this.ui.sceneManager.getRenderer().domElement;
+        canvas.addEventListener('pointerdown', (event) => {
+            this.pressPosition = { x: event.clientX, y: event.clientY };
+        });
+        canvas.addEventListener('click', (event) => this.onClick(event));
+
+        const clearButton = document.getElementById('clear-face-selection');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.clear());
+        } else {
+            console.warn('Element not found: clear-face-selection');
+        }
+    }
+
+    // Pick the face under the pointer, ignoring the end of orbit and gizmo drags and
+    // clicks the source manager took for a source marker or the gizmo
+    onClick(event) {
+        const results = this.ui.lastResults;
+        const model = this.ui.sceneManager.getCurrentModel();
+        if (!results || !model) return;
+        if (document.getElementById('loading-overlay').style.display === 'flex') return;
+        if (this.ui.sourcePointManager.pointerConsumed) return;
+
+        if (this.pressPosition) {
+            const moved = Math.hypot(event.clientX - this.pressPosition.x, event.clientY - this.pressPosition.y);
+            if (moved > CLICK_TOLERANCE) return;
+        }
+
+        const rect = event.target.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.ui.sceneManager.getCamera());
+
+        // Nearest hit on a mesh the results cover
+        const hit = this.raycaster.intersectObject(model, true)
+            .find(intersection => results.meshes[intersection.object.uuid]);
+        if (!hit) return;
+
+        this.selectFace(results.meshes[hit.object.uuid].faceOffset + hit.faceIndex);
+    }
+
+    // Show the details of a face, given its position in the results' faceData
+    selectFace(faceIndex) {
+        const results = this.ui.lastResults;
+        const details = ResultAnalysis.getFaceDetails(results, faceIndex);
+        this.selectedFace = faceIndex;
+
+        // Face corners are stored in their mesh's own space
+        const mesh = this.ui.sceneManager.getCurrentModel().getObjectByProperty('uuid', details.face.mesh);
+        if (mesh) {
+            mesh.updateMatrixWorld(true);
+            const corners = details.face.vertices.map(vertex =>
+                new THREE.Vector3(vertex.x, vertex.y, vertex.z).applyMatrix4(mesh.matrixWorld));
+            this.ui.sceneManager.setFaceHighlight(corners);
+        }
+
+        const panel = document.getElementById('face-details');
+        if (panel) {
+            panel.hidden = false;
+            document.getElementById('face-details-content').innerHTML = this.formatDetails(details);
+        }
+    }
+
+    // Forget the selection, e.g. when the results it came from are replaced
+    clear() {
+        this.selectedFace = null;
+        this.ui.sceneManager.clearFaceHighlight();
+        const panel = document.getElementById('face-details');
+        if (panel) panel.hidden = true;
+    }
+
+    formatDetails(details) {
+        const { face, impacts } = details;
+        const meshName = details.meshName || 'Mesh';
+
+        const summary = `
+            <p><strong>Face ${face.meshFace} of ${HtmlText.escapeHtml(meshName)}</strong></p>
+            <p>Splashback factor: ${face.splashback.toFixed(3)}${face.splashbackCI !== undefined ? ` ± ${face.splashbackCI.toFixed(3)} (95% CI over the population)` : ''}</p>
+            <p>Sampled trajectories hitting it: ${face.hits} (${(details.streamFraction * 100).toFixed(2)}% of the stream)</p>
+            <p>Rebound droplets landing on it: ${face.reboundHits}</p>
+        `;
+        if (impacts.length === 0) {
+            return `${summary}<p class="help-text">No sampled trajectory reached this face first.</p>`;
+        }
+
+        const listed = [...impacts].sort((a, b) => b.splashback - a.splashback).slice(0, MAX_LISTED_IMPACTS);
+        const rows = listed.map(impact => {
+            const launch = impact.launchDirection;
+            // Around the aim means nothing for the launch straight along it
+            const around = launch.offAim < 0.05 ? '-' : `${launch.around.toFixed(0)}°`;
+            return `<tr>
+                <td>${launch.offAim.toFixed(1)}°</td>
+                <td>${around}</td>
+                <td>${impact.incidentAngle.toFixed(1)}°</td>
+                <td>${impact.impactSpeed.toFixed(2)}</td>
+                <td>${impact.splashback.toFixed(3)}</td>
+            </tr>`;
+        }).join('');
+        const more = impacts.length > listed.length
+            ? `<p class="help-text">and ${impacts.length - listed.length} more with less splashback</p>`
+            : '';
+
+        return `
+            ${summary}
+            <p>Mean impact speed: ${face.impactSpeed.toFixed(2)} m/s, Weber number ${face.weber.toFixed(0)}</p>
+            <h4>Incident angle (from the surface normal)</h4>
+            ${formatHistogram(details.incidentAngles, bin => `${bin.from.toFixed(0)}-${bin.to.toFixed(0)}°`)}
+            <h4>Impact speed (m/s)</h4>
+            ${formatHistogram(details.impactSpeeds, bin => `${bin.from.toFixed(2)}-${bin.to.toFixed(2)}`)}
+            <h4>Launch directions</h4>
+            <p class="help-text">Off aim is the angle from the aim direction; around is measured
+            looking along the aim, 0° to the right and 90° up.</p>
+            <table class="mesh-table">
+                <tr><th>Off aim</th><th>Around</th><th>Incident</th><th>Speed</th><th>Splashback</th></tr>
+                ${rows}
+            </table>
+            ${more}
+        `;
+    }
+}
+
+// Horizontal bars, one per bin, scaled to the fullest bin
+function formatHistogram(bins, formatLabel) {
+    const largest = Math.max(1, ...bins.map(bin => bin.count));
+    const rows = bins.map(bin => `
+        <div class="histogram-row">
+            <span class="histogram-label">${formatLabel(bin)}</span>
+            <span class="histogram-track"><span class="histogram-bar" style="width: ${(bin.count / largest * 100).toFixed(0)}%"></span></span>
+            <span class="histogram-count">${bin.count}</span>
+        </div>
+    `).join('');
+    return `<div class="histogram">${rows}</div>`;
+}
@@ -0,0 +1,173 @@
+// Exports the analysed model with its heatmap for CAD review tools and Blender
+// Vertex colors are the heatmap as displayed, the splashback value is kept alongside
+// as a custom attribute. Positions are in metres, as the model sits in the scene.
+// The heatmap can also be baked into a PNG texture that maps onto the exported UVs.
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { HeatmapGenerator } from './heatmapGenerator.js';
+
+// Bytes per PLY vertex (float x, y, z, uchar red, green, blue, float splashback,
+// plus float s, t when the model has UVs) and per face (uchar vertex count, three uint indices)
+const PLY_VERTEX_BYTES = 19;
+const PLY_UV_BYTES = 8;
+const PLY_FACE_BYTES = 13;
+
+// Name the PLY header gives the baked texture, matching the PNG export's file name
+const TEXTURE_FILE_NAME = 'splashback-heatmap.png';
+
+// Meshes of the model that carry heatmap colors
+function getHeatmapMeshes(model) {
+    const meshes = [];
+    model.traverse(function(child) {
+        if (child instanceof THREE.Mesh && child.geometry.attributes.color) {
+            meshes.push(child);
+        }
+    });
+
+    if (meshes.length === 0) {
+        throw new Error('No heatmap to export. Run the simulation first.');
+    }
+    return meshes;
+}
+
+// Geometry to write for each mesh, with the UVs the baked PNG uses when they can be made
+function getExportGeometries(model, meshes) {
+    try {
+        return HeatmapGenerator.createTextureGeometries(model, meshes);
+    } catch (error) {
+        console.warn(`Exporting without texture coordinates: ${error.message}`);
+        return new Map(meshes.map(mesh => [mesh, mesh.geometry]));
+    }
+}
+
+// Write the model as a binary PLY with vertex colors and a splashback property
+// UVs are written as s and t when every mesh has them, so the baked PNG can be applied
+function exportPLY(model) {
+    const meshes = getHeatmapMeshes(model);
+    model.updateMatrixWorld(true);
+    const geometries = getExportGeometries(model, meshes);
+    const withUVs = meshes.every(mesh => geometries.get(mesh).attributes.uv);
+    const vertexBytes = PLY_VERTEX_BYTES + (withUVs ? PLY_UV_BYTES : 0);
+
+    let vertexCount = 0;
+    let faceCount = 0;
+    for (const mesh of meshes) {
+        const geometry = geometries.get(mesh);
+        vertexCount += geometry.attributes.position.count;
+        faceCount += (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+    }
+
+    const header = [
+        'ply',
+        'format binary_little_endian 1.0',
+        'comment Urinal Splashback Calculator heatmap, units: metres',
+        ...(withUVs ? [`comment TextureFile ${TEXTURE_FILE_NAME}`] : []),
+        `element vertex ${vertexCount}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        'property uchar red',
+        'property uchar green',
+        'property uchar blue',
+        'property float splashback',
+        ...(withUVs ? ['property float s', 'property float t'] : []),
+        `element face ${faceCount}`,
+        'property list uchar uint vertex_indices',
+        'end_header',
+        ''
+    ].join('\n');
+    const headerBytes = new TextEncoder().encode(header);
+
+    const buffer = new ArrayBuffer(headerBytes.length + vertexCount * vertexBytes + faceCount * PLY_FACE_BYTES);
+    new Uint8Array(buffer).set(headerBytes);
+    const view = new DataView(buffer);
+    let offset = headerBytes.length;
+
+    // Vertices, in world space
+    const vertex = new THREE.Vector3();
+    for (const mesh of meshes) {
+        const { position, color, splashback, uv } = geometries.get(mesh).attributes;
+        for (let i = 0; i < position.count; i++) {
+            vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+            view.setFloat32(offset, vertex.x, true);
+            view.setFloat32(offset + 4, vertex.y, true);
+            view.setFloat32(offset + 8, vertex.z, true);
+            view.setUint8(offset + 12, toByte(color.getX(i)));
+            view.setUint8(offset + 13, toByte(color.getY(i)));
+            view.setUint8(offset + 14, toByte(color.getZ(i)));
+            view.setFloat32(offset + 15, splashback ? splashback.getX(i) : 0, true);
+            if (withUVs) {
+                view.setFloat32(offset + 19, uv.getX(i), true);
+                view.setFloat32(offset + 23, uv.getY(i), true);
+            }
+            offset += vertexBytes;
+        }
+    }
+
+    // Faces, with indices offset past the vertices of earlier meshes
+    let firstVertex = 0;
+    for (const mesh of meshes) {
+        const geometry = geometries.get(mesh);
+        const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+        for (let i = 0; i < count; i += 3) {
+            view.setUint8(offset, 3);
+            for (let j = 0; j < 3; j++) {
+                const index = geometry.index ? geometry.index.getX(i + j) : i + j;
+                view.setUint32(offset + 1 + j * 4, firstVertex + index, true);
+            }
+            offset += PLY_FACE_BYTES;
+        }
+        firstVertex += geometry.attributes.position.count;
+    }
+
+    HeatmapGenerator.disposeTextureGeometries(geometries);
+    return buffer;
+}
+
+// Write the model as a GLB. Vertex colors become COLOR_0 and the
+// splashback attribute is written as the custom _SPLASHBACK attribute
+// A copy of the model is exported, so texture UVs can be added without changing the scene
+function exportGLB(model) {
+    const meshes = getHeatmapMeshes(model);
+    const geometries = getExportGeometries(model, meshes);
+
+    // The copy's objects are in the same order as the model's
+    const copy = model.clone();
+    const originals = [];
+    model.traverse(child => originals.push(child));
+    let i = 0;
+    copy.traverse(child => {
+        const original = originals[i++];
+        if (geometries.has(original)) child.geometry = geometries.get(original);
+    });
+
+    return new GLTFExporter().parseAsync(copy, { binary: true })
+        .finally(() => HeatmapGenerator.disposeTextureGeometries(geometries));
+}
+
+// Bake the run's heatmap into a PNG over the model's UVs
+// Uses the run's own splashback, even while the change from a baseline is shown
+function exportPNG(model, results, colorSettings) {
+    getHeatmapMeshes(model);
+    const canvas = HeatmapGenerator.bakeHeatmapTexture(model, results, colorSettings);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The browser could not encode the texture as PNG'));
+            }
+        }, 'image/png');
+    });
+}
+
+function toByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value * 255)));
+}
+
+// Export the functions we need to access from other modules
+export const HeatmapExporter = {
+    exportPLY,
+    exportGLB,
+    exportPNG
+};
@@ -1,100 +1,154 @@
 // Generates and applies heatmap visualization to 3D models
 import * as THREE from 'three';
+import { Colormap } from './colormap.js';
+import { TextureBaker } from './textureBaker.js';
 
-// Generate a heatmap texture based on face data
-function generateHeatmapTexture(resolution, faceData, minValue, maxValue) {
-    // Create a canvas for the heatmap
+// Bake the run's splashback into a texture over the model's UVs
+// Values are interpolated across each face from the average at its corners, and
+// colored with the same scale as the on-screen heatmap. Returns a canvas
+function bakeHeatmapTexture(model, results, colorSettings = Colormap.DEFAULT_COLOR_SETTINGS, options = {}) {
+    const { resolution } = { ...TextureBaker.DEFAULT_BAKE_OPTIONS, ...options };
+    const scale = Colormap.createColorScale(colorSettings, results.minSplashback, results.maxSplashback);
+    
+    const covered = [];
+    model.traverse(function(child) {
+        if (child instanceof THREE.Mesh && results.meshes[child.uuid]) covered.push(child);
+    });
+    if (covered.length === 0) {
+        throw new Error('No heatmap to bake. Run the simulation first.');
+    }
+    
+    const geometries = createTextureGeometries(model, covered);
+    const meshes = covered.map(mesh => {
+        const meshResults = results.meshes[mesh.uuid];
+        const geometry = geometries.get(mesh);
+        const { position, uv } = geometry.attributes;
+        const positions = new Float32Array(position.count * 3);
+        const uvs = new Float32Array(uv.count * 2);
+        for (let i = 0; i < position.count; i++) {
+            positions[i * 3] = position.getX(i);
+            positions[i * 3 + 1] = position.getY(i);
+            positions[i * 3 + 2] = position.getZ(i);
+            uvs[i * 2] = uv.getX(i);
+            uvs[i * 2 + 1] = uv.getY(i);
+        }
+        const indices = geometry.index ? geometry.index.array : null;
+        
+        const faceValues = new Float32Array(meshResults.faceCount);
+        for (let i = 0; i < meshResults.faceCount; i++) {
+            faceValues[i] = results.faceData[meshResults.faceOffset + i].splashback;
+        }
+        
+        return { uvs, indices, values: TextureBaker.interpolateVertexValues(positions, indices, faceValues) };
+    });
+    disposeTextureGeometries(geometries);
+    
+    const pixels = TextureBaker.rasterize(meshes, scale.color, options);
     const canvas = document.createElement('canvas');
     canvas.width = resolution;
     canvas.height = resolution;
-    const ctx = canvas.getContext('2d');
+    canvas.getContext('2d').putImageData(new ImageData(pixels, resolution, resolution), 0, 0);
+    return canvas;
+}
+
+// Geometry with texture coordinates for each of the given meshes, keyed by mesh. A single mesh
+// keeps the file's own UVs; otherwise the meshes would share texture space, so copies of their
+// geometry get a non-overlapping atlas, as do models whose only UVs are the loader's planar
+// placeholder. The model itself is left as it was loaded
+function createTextureGeometries(model, meshes) {
+    const geometries = new Map();
+    const geometry = meshes.length === 1 ? meshes[0].geometry : null;
+    if (geometry && geometry.attributes.uv && !geometry.userData.placeholderUVs) {
+        geometries.set(meshes[0], meshes[0].geometry);
+        return geometries;
+    }
     
-    // Fill with black background
-    ctx.fillStyle = 'black';
-    ctx.fillRect(0, 0, resolution, resolution);
+    // Faces in different charts can't share vertices, so indexed geometry is expanded
+    for (const mesh of meshes) {
+        geometries.set(mesh, mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone());
+    }
     
-    // Draw each face with its splashback color
-    for (const face of faceData) {
-        // Skip faces with no vertices
-        if (!face.vertices || face.vertices.length < 3) continue;
-        
-        // Normalize splashback value
-        const normalizedValue = (face.splashback - minValue) / (maxValue - minValue);
-        
-        // Generate color based on splashback value (green to yellow to red)
-        const color = getHeatmapColor(normalizedValue);
-        
-        // Get face UV coordinates and draw on canvas
-        if (face.uvs && face.uvs.length >= 3) {
-            // If we have UV info, use it
-            ctx.beginPath();
-            ctx.moveTo(face.uvs[0].x * resolution, (1 - face.uvs[0].y) * resolution);
-            ctx.lineTo(face.uvs[1].x * resolution, (1 - face.uvs[1].y) * resolution);
-            ctx.lineTo(face.uvs[2].x * resolution, (1 - face.uvs[2].y) * resolution);
-            ctx.closePath();
-            
-            ctx.fillStyle = color;
-            ctx.fill();
-        }
+    // Chart in world space so texels cover the same area on every mesh
+    model.updateMatrixWorld(true);
+    const vertex = new THREE.Vector3();
+    let atlas;
+    try {
+        atlas = TextureBaker.buildAtlas(meshes.map(mesh => {
+            const positionAttribute = geometries.get(mesh).attributes.position;
+            const positions = new Float32Array(positionAttribute.count * 3);
+            for (let i = 0; i < positionAttribute.count; i++) {
+                vertex.fromBufferAttribute(positionAttribute, i).applyMatrix4(mesh.matrixWorld);
+                vertex.toArray(positions, i * 3);
+            }
+            return { positions };
+        }));
+    } catch (error) {
+        disposeTextureGeometries(geometries);
+        throw error;
     }
     
-    return canvas;
+    meshes.forEach((mesh, i) => {
+        geometries.get(mesh).setAttribute('uv', new THREE.BufferAttribute(atlas[i], 2));
+    });
+    return geometries;
 }
 
-// Get color for heatmap based on normalized value (0-1)
-function getHeatmapColor(value) {
-    // Green (0) -> Yellow (0.5) -> Red (1)
-    let r, g, b;
-    
-    if (value < 0.5) {
-        // Green to Yellow
-        r = Math.floor(255 * (2 * value));
-        g = 255;
-        b = 0;
-    } else {
-        // Yellow to Red
-        r = 255;
-        g = Math.floor(255 * (2 - 2 * value));
-        b = 0;
+// Free the copies createTextureGeometries made, leaving the meshes' own geometry
+function disposeTextureGeometries(geometries) {
+    for (const [mesh, geometry] of geometries) {
+        if (geometry !== mesh.geometry) geometry.dispose();
     }
+}
+
+// Generate a texture of the floor contamination grid, one pixel per cell
+// Cells nothing landed in are left transparent. Droplet counts aren't splashback
+// values, so the grid always uses its own range with the chosen colormap
+function generateFloorTexture(floorGrid, colorSettings = Colormap.DEFAULT_COLOR_SETTINGS) {
+    const { resolution, cells, maxCell } = floorGrid;
+    const scale = Colormap.createColorScale({ ...colorSettings, range: 'auto' }, 0, maxCell);
+    const canvas = document.createElement('canvas');
+    canvas.width = resolution;
+    canvas.height = resolution;
+    const ctx = canvas.getContext('2d');
     
-    return `rgb(${r}, ${g}, ${b})`;
+    for (let iz = 0; iz < resolution; iz++) {
+        for (let ix = 0; ix < resolution; ix++) {
+            const value = cells[iz * resolution + ix];
+            if (value <= 0) continue;
+            
+            ctx.fillStyle = scale.css(value);
+            ctx.fillRect(ix, iz, 1, 1);
+        }
+    }
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    return texture;
 }
 
 // Apply heatmap to the 3D model
-function applyHeatmap(model, simulationResults) {
+// colorSettings picks the colormap and range (see Colormap.DEFAULT_COLOR_SETTINGS)
+// Returns the color scale used, for drawing the legend
+function applyHeatmap(model, simulationResults, colorSettings = Colormap.DEFAULT_COLOR_SETTINGS) {
     // Extract data from simulation results
-    const { faceData, minSplashback, maxSplashback } = simulationResults;
-    
-    // Generate the texture
-    const heatmapTexture = new THREE.CanvasTexture(
-        generateHeatmapTexture(1024, faceData, minSplashback, maxSplashback)
-    );
+    const { minSplashback, maxSplashback } = simulationResults;
+    const scale = Colormap.createColorScale(colorSettings, minSplashback, maxSplashback);
     
-    // Apply to all meshes in the model
-    model.traverse(function(child) {
-        if (child instanceof THREE.Mesh) {
-            // Create a new material with the heatmap texture
-            const material = new THREE.MeshStandardMaterial({
-                map: heatmapTexture,
-                metalness: 0.3,
-                roughness: 0.5
-            });
-            
-            // Store vertex-specific splashback data
-            applyVertexColors(child, faceData, minSplashback, maxSplashback);
-            
-            // Apply the new material
-            child.material = material;
-        }
-    });
+    // Show the heatmap with vertex colors; bakeHeatmapTexture makes a texture for export
+    generatePerVertexHeatmap(model, simulationResults, scale);
     
-    // Generate a more detailed per-vertex heatmap using vertex colors
-    generatePerVertexHeatmap(model, faceData, minSplashback, maxSplashback);
+    return scale;
 }
 
 // Apply vertex colors based on splashback data
-function applyVertexColors(mesh, faceData, minValue, maxValue) {
+// Returns false when the results don't cover this mesh
+function applyVertexColors(mesh, results, scale) {
+    const meshResults = results.meshes[mesh.uuid];
+    if (!meshResults) return false;
+    
+    // This mesh's faces, in the same order as its geometry
+    const faces = results.faceData.slice(meshResults.faceOffset, meshResults.faceOffset + meshResults.faceCount);
     const geometry = mesh.geometry;
     
     // Create vertex colors attribute if it doesn't exist
@@ -106,90 +160,154 @@ function applyVertexColors(mesh, faceData, minValue, maxValue) {
     // Reset color attribute
     const colorAttribute = geometry.attributes.color;
     
-    // The actual implementation would map face indices to vertices and set colors
-    // This is a placeholder that works for simple geometries
+    // Keep the raw splashback value per vertex too, so exports carry the data and not just colors
+    const splashbackAttribute = new THREE.BufferAttribute(new Float32Array(geometry.attributes.position.count), 1);
+    geometry.setAttribute('splashback', splashbackAttribute);
+    
     if (geometry.index) {
         // Indexed geometry
         const indices = geometry.index.array;
         
         for (let i = 0; i < indices.length / 3; i++) {
-            // Find corresponding face data
-            const face = faceData.find(f => f.index === i);
+            const face = faces[i];
             if (!face) continue;
             
-            // Normalize the splashback value
-            const normalizedValue = (face.splashback - minValue) / (maxValue - minValue);
-            
             // Get color
-            const color = new THREE.Color();
-            setHeatmapThreeColor(color, normalizedValue);
+            const { r, g, b } = scale.color(face.splashback);
+            const color = new THREE.Color(r, g, b);
             
             // Apply color to all three vertices of this face
             for (let j = 0; j < 3; j++) {
                 const vertexIndex = indices[i * 3 + j];
                 colorAttribute.setXYZ(vertexIndex, color.r, color.g, color.b);
+                splashbackAttribute.setX(vertexIndex, face.splashback);
             }
         }
     } else {
         // Non-indexed geometry
         for (let i = 0; i < geometry.attributes.position.count / 3; i++) {
-            // Find corresponding face data
-            const face = faceData.find(f => f.index === i);
+            const face = faces[i];
             if (!face) continue;
             
-            // Normalize the splashback value
-            const normalizedValue = (face.splashback - minValue) / (maxValue - minValue);
-            
             // Get color
-            const color = new THREE.Color();
-            setHeatmapThreeColor(color, normalizedValue);
+            const { r, g, b } = scale.color(face.splashback);
+            const color = new THREE.Color(r, g, b);
             
             // Apply color to all three vertices of this face
             colorAttribute.setXYZ(i * 3, color.r, color.g, color.b);
             colorAttribute.setXYZ(i * 3 + 1, color.r, color.g, color.b);
             colorAttribute.setXYZ(i * 3 + 2, color.r, color.g, color.b);
+            for (let j = 0; j < 3; j++) {
+                splashbackAttribute.setX(i * 3 + j, face.splashback);
+            }
         }
     }
     
     colorAttribute.needsUpdate = true;
+    return true;
 }
 
-// Set THREE.Color based on heatmap value
-function setHeatmapThreeColor(color, value) {
-    if (value < 0.5) {
-        // Green to Yellow
-        color.r = value * 2;
-        color.g = 1.0;
-        color.b = 0.0;
-    } else {
-        // Yellow to Red
-        color.r = 1.0;
-        color.g = 2.0 - value * 2;
-        color.b = 0.0;
-    }
+// Color the model by the change in splashback from a baseline run
+// comparison comes from ResultAnalysis.compareResults, its faceDeltas line up with results.faceData
+// Always uses the diverging colormap over a range symmetric around zero, so the middle
+// color means no change. The range is the largest change, or the larger end of a fixed
+// range so comparisons share a scale. Returns the color scale used
+function applyDeltaHeatmap(model, results, comparison, colorSettings = Colormap.DEFAULT_COLOR_SETTINGS) {
+    const { faceDeltas, maxAbsDelta } = comparison;
+    const settings = Colormap.validateColorSettings(colorSettings);
+    const halfRange = settings.range === 'fixed'
+        ? Math.max(Math.abs(settings.min), Math.abs(settings.max))
+        : maxAbsDelta;
+    const scale = Colormap.createColorScale({ colormap: 'diverging', range: 'auto' }, -halfRange, halfRange);
+    
+    model.traverse(function(child) {
+        const meshResults = child instanceof THREE.Mesh ? results.meshes[child.uuid] : null;
+        if (meshResults) {
+            const geometry = child.geometry;
+            const vertexCount = geometry.attributes.position.count;
+            const colorAttribute = new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3);
+            const noChange = scale.color(0);
+            for (let i = 0; i < vertexCount; i++) {
+                colorAttribute.setXYZ(i, noChange.r, noChange.g, noChange.b);
+            }
+            
+            for (let i = 0; i < meshResults.faceCount; i++) {
+                const color = scale.color(faceDeltas[meshResults.faceOffset + i]);
+                for (let j = 0; j < 3; j++) {
+                    const vertexIndex = geometry.index ? geometry.index.getX(i * 3 + j) : i * 3 + j;
+                    colorAttribute.setXYZ(vertexIndex, color.r, color.g, color.b);
+                }
+            }
+            
+            geometry.setAttribute('color', colorAttribute);
+            child.material = new THREE.MeshStandardMaterial({
+                vertexColors: true,
+                metalness: 0.3,
+                roughness: 0.5
+            });
+        }
+    });
+    
+    return scale;
 }
 
 // Generate a more detailed per-vertex heatmap
-function generatePerVertexHeatmap(model, faceData, minValue, maxValue) {
+function generatePerVertexHeatmap(model, results, scale) {
     model.traverse(function(child) {
-        if (child instanceof THREE.Mesh) {
-            // Create a new vertex-colored material
-            const vertexMaterial = new THREE.MeshStandardMaterial({
+        // Apply vertex colors, skipping meshes the results don't cover
+        if (child instanceof THREE.Mesh && applyVertexColors(child, results, scale)) {
+            // Use a vertex-colored material
+            child.material = new THREE.MeshStandardMaterial({
+                vertexColors: true,
+                metalness: 0.3,
+                roughness: 0.5
+            });
+        }
+    });
+}
+
+// Color each face the results cover with faceColor(faceIndex), faceIndex being its position
+// in the results' faceData. Only the colors change, so this is cheap enough to call every frame
+function applyFaceColors(model, results, faceColor) {
+    model.traverse(function(child) {
+        if (!(child instanceof THREE.Mesh)) return;
+        const meshResults = results.meshes[child.uuid];
+        if (!meshResults) return;
+        
+        const geometry = child.geometry;
+        if (!geometry.attributes.color) {
+            const colors = new Float32Array(geometry.attributes.position.count * 3);
+            geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        }
+        const colorAttribute = geometry.attributes.color;
+        const indices = geometry.index ? geometry.index.array : null;
+        
+        for (let i = 0; i < meshResults.faceCount; i++) {
+            const { r, g, b } = faceColor(meshResults.faceOffset + i);
+            for (let j = 0; j < 3; j++) {
+                const vertexIndex = indices ? indices[i * 3 + j] : i * 3 + j;
+                colorAttribute.setXYZ(vertexIndex, r, g, b);
+            }
+        }
+        colorAttribute.needsUpdate = true;
+        
+        if (!child.material.vertexColors) {
+            child.material = new THREE.MeshStandardMaterial({
                 vertexColors: true,
                 metalness: 0.3,
                 roughness: 0.5
             });
-            
-            // Apply vertex colors
-            applyVertexColors(child, faceData, minValue, maxValue);
-            
-            // Use the vertex-colored material
-            child.material = vertexMaterial;
         }
     });
 }
 
 // Export the functions we need to access from other modules
 export const HeatmapGenerator = {
-    applyHeatmap
+    applyHeatmap,
+    applyDeltaHeatmap,
+    applyFaceColors,
+    bakeHeatmapTexture,
+    createTextureGeometries,
+    disposeTextureGeometries,
+    generateFloorTexture
 };
@@ -0,0 +1,11 @@
+// Helpers for building the HTML shown in the results panels
+
+// Text from uploaded files or user input, such as mesh names and error messages, kept from being read as markup
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Export the functions we need to access from other modules
+export const HtmlText = {
+    escapeHtml
+};
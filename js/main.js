@@ -12,6 +12,7 @@ let sourcePointManager;
 let uiController;
 let simulationRunner;
 let modelLoader;
+const clock = new THREE.Clock();
 
 // Initialize the application when the DOM is fully loaded
 document.addEventListener('DOMContentLoaded', init);
@@ -58,6 +59,7 @@ function setupEventListeners() {
 
 function animate() {
     requestAnimationFrame(animate);
+    uiController.update(clock.getDelta());
     sceneManager.update();
 }
 
@@ -4,62 +4,36 @@ import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
 import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
+// Scale factors from the units a model can be exported in to metres
+const UNIT_SCALES = {
+    mm: 0.001,
+    cm: 0.01,
+    m: 1,
+    in: 0.0254
+};
+
 export class ModelLoader {
     constructor() {
         // Nothing to initialize
     }
     
     // Load a 3D model based on file type
-    loadModel(file) {
+    // units is what the file was exported in, the loaded model is scaled to metres
+    loadModel(file, units = 'm') {
         return new Promise((resolve, reject) => {
             const fileName = file.name.toLowerCase();
             const reader = new FileReader();
             
             reader.onload = function(event) {
-                const fileContent = event.target.result;
-                
-                try {
-                    if (fileName.endsWith('.obj')) {
-                        const loader = new OBJLoader();
-                        const object = loader.parse(fileContent);
-                        this.prepareModelForSimulation(object);
-                        resolve(object);
-                    } else if (fileName.endsWith('.stl')) {
-                        const loader = new STLLoader();
-                        const geometry = loader.parse(fileContent);
-                        const material = new THREE.MeshStandardMaterial({
-                            color: 0xaaaaaa,
-                            metalness: 0.25,
-                            roughness: 0.6,
-                            flatShading: true
-                        });
-                        const mesh = new THREE.Mesh(geometry, material);
-                        const group = new THREE.Group();
-                        group.add(mesh);
-                        this.prepareModelForSimulation(group);
-                        resolve(group);
-                    } else if (fileName.endsWith('.glb') || fileName.endsWith('.gltf')) {
-                        const loader = new GLTFLoader();
-                        const buffer = fileContent instanceof ArrayBuffer ? fileContent : fileContent.arrayBuffer();
-                        loader.parse(buffer, '', (gltf) => {
-                            this.prepareModelForSimulation(gltf.scene);
-                            resolve(gltf.scene);
-                        }, (error) => {
-                            reject(new Error('Failed to parse GLTF/GLB file: ' + error.message));
-                        });
-                    } else {
-                        reject(new Error('Unsupported file format. Please upload OBJ, STL, or GLTF/GLB.'));
-                    }
-                } catch (error) {
-                    reject(error);
-                }
+                this.parseModel(fileName, event.target.result, units).then(resolve, reject);
             }.bind(this);
             
             reader.onerror = function() {
                 reject(new Error('Failed to read the file'));
             };
             
-            if (fileName.endsWith('.obj') || fileName.endsWith('.stl')) {
+            // OBJ is text, STL may be binary or ASCII and STLLoader detects which
+            if (fileName.endsWith('.obj')) {
                 reader.readAsText(file);
             } else {
                 reader.readAsArrayBuffer(file);
@@ -67,6 +41,69 @@ export class ModelLoader {
         });
     }
     
+    // Parse file contents into a model ready for simulation
+    // Shared by the browser upload and the command line, which reads files from disk
+    // content is text for OBJ and an ArrayBuffer for the other formats
+    parseModel(fileName, content, units = 'm') {
+        return new Promise((resolve, reject) => {
+            if (!(units in UNIT_SCALES)) {
+                reject(new Error(`Unsupported model units: ${units}. Use mm, cm, m or in.`));
+                return;
+            }
+            
+            const name = fileName.toLowerCase();
+            
+            try {
+                if (name.endsWith('.obj')) {
+                    const loader = new OBJLoader();
+                    const object = loader.parse(content);
+                    this.prepareModelForSimulation(object);
+                    this.applyUnits(object, units);
+                    resolve(object);
+                } else if (name.endsWith('.stl')) {
+                    const loader = new STLLoader();
+                    const geometry = loader.parse(content);
+                    const material = new THREE.MeshStandardMaterial({
+                        color: 0xaaaaaa,
+                        metalness: 0.25,
+                        roughness: 0.6,
+                        flatShading: true
+                    });
+                    const mesh = new THREE.Mesh(geometry, material);
+                    const group = new THREE.Group();
+                    group.add(mesh);
+                    this.prepareModelForSimulation(group);
+                    this.applyUnits(group, units);
+                    resolve(group);
+                } else if (name.endsWith('.glb') || name.endsWith('.gltf')) {
+                    const loader = new GLTFLoader();
+                    loader.parse(content, '', (gltf) => {
+                        this.prepareModelForSimulation(gltf.scene);
+                        this.applyUnits(gltf.scene, units);
+                        resolve(gltf.scene);
+                    }, (error) => {
+                        reject(new Error('Failed to parse GLTF/GLB file: ' + error.message));
+                    });
+                } else {
+                    reject(new Error('Unsupported file format. Please upload OBJ, STL, or GLTF/GLB.'));
+                }
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+    
+    // Scale the model's root so one scene unit is one metre
+    applyUnits(model, units) {
+        const scale = UNIT_SCALES[units];
+        if (scale === undefined) {
+            throw new Error(`Unsupported model units: ${units}. Use mm, cm, m or in.`);
+        }
+        
+        model.scale.setScalar(scale);
+        model.userData.units = units;
+    }
+    
     prepareModelForSimulation(model) {
         // Make sure the model has the properties needed for simulation
         model.traverse(function(child) {
@@ -115,5 +152,7 @@ export class ModelLoader {
         }
         
         geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        // Planar UVs overlap where the model folds back, so the heatmap texture isn't baked over them
+        geometry.userData.placeholderUVs = true;
     }
 }
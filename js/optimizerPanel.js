@@ -0,0 +1,116 @@
+// Controls for searching the best source placement and reporting the improvement
+import { HtmlText } from './htmlText.js';
+
+export class OptimizerPanel {
+    constructor(uiController) {
+        this.ui = uiController;
+    }
+
+    setupEventListeners() {
+        const optimizeButton = document.getElementById('run-optimize');
+        if (optimizeButton) {
+            optimizeButton.addEventListener('click', () => this.runOptimization());
+        } else {
+            console.warn('Element not found: run-optimize');
+        }
+    }
+
+    // Box around the current source, kept inside the bounds the source is clamped to
+    getSearchBox(sourcePoint, distance) {
+        const bounds = this.ui.sourcePointManager.getPositionBounds();
+        const box = { min: {}, max: {} };
+        for (const axis of ['x', 'y', 'z']) {
+            box.min[axis] = Math.max(bounds.min[axis], sourcePoint[axis] - distance);
+            box.max[axis] = Math.min(bounds.max[axis], sourcePoint[axis] + distance);
+        }
+        return box;
+    }
+
+    runOptimization() {
+        const currentModel = this.ui.sceneManager.getCurrentModel();
+        if (!currentModel) {
+            alert('Please upload a model first');
+            return;
+        }
+
+        // Ignore clicks while a run is in progress
+        if (this.ui.simulationRunner.isRunning()) return;
+
+        const exitVelocity = this.ui.getExitVelocity();
+        if (!(Number.isFinite(exitVelocity) && exitVelocity > 0)) {
+            document.getElementById('stats').innerHTML = '<p class="error">Enter a stream force greater than 0.</p>';
+            return;
+        }
+
+        const metricSelect = document.getElementById('optimize-metric');
+        const distance = parseFloat(document.getElementById('optimize-distance').value);
+        const capture = parseFloat(document.getElementById('optimize-capture').value);
+        if (!(distance > 0)) {
+            document.getElementById('stats').innerHTML = '<p class="error">Enter a search distance greater than 0.</p>';
+            return;
+        }
+
+        const sourcePoint = this.ui.sourcePointManager.getSourcePoint();
+        const optimizerOptions = {
+            metric: metricSelect.value,
+            searchBox: this.getSearchBox(sourcePoint, distance),
+            minCapture: capture / 100
+        };
+
+        this.ui.showLoading(true, true);
+
+        this.ui.simulationRunner.runOptimization(currentModel, sourcePoint, exitVelocity,
+            this.ui.getSimulationParameters(), optimizerOptions, {
+                onProgress: (percent) => this.ui.updateProgress(percent)
+            })
+            .then(({ start, best, evaluations }) => {
+                const metricLabel = metricSelect.options[metricSelect.selectedIndex].text;
+                const moved = ['x', 'y', 'z'].some(axis => best.sourcePoint[axis] !== start.sourcePoint[axis]);
+                if (moved) {
+                    const { x, y, z } = best.sourcePoint;
+                    this.ui.sourcePointManager.setSourcePosition(x, y, z);
+                }
+                document.getElementById('stats').innerHTML = this.formatReport(start, best, evaluations, metricLabel, moved, optimizerOptions.minCapture);
+                this.ui.showLoading(false);
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    document.getElementById('stats').innerHTML = '<p>Placement search cancelled.</p>';
+                } else {
+                    console.error('Optimization error:', error);
+                    document.getElementById('stats').innerHTML = `<p class="error">Placement search failed: ${HtmlText.escapeHtml(error.message)}</p>`;
+                }
+                this.ui.showLoading(false);
+            });
+    }
+
+    formatReport(start, best, evaluations, metricLabel, moved, minCapture) {
+        const position = (point) => `(${point.x.toFixed(3)}, ${point.y.toFixed(3)}, ${point.z.toFixed(3)})`;
+        const percent = (fraction) => `${(fraction * 100).toFixed(0)}%`;
+
+        if (best.captured < minCapture) {
+            return `
+                <p class="error">No position within the search distance keeps ${percent(minCapture)} of the stream on the fixture.</p>
+                <p>Best found: ${percent(best.captured)} at ${position(best.sourcePoint)}${moved ? ', the source was moved there' : ''}. Try a larger search distance or a lower requirement.</p>
+            `;
+        }
+        if (!moved) {
+            return `
+                <p>The current position is already the best of ${evaluations} searched.</p>
+                <p>${metricLabel}: ${best.value.toFixed(4)}</p>
+            `;
+        }
+
+        const change = start.value > 0 ? ` (${((1 - best.value / start.value) * 100).toFixed(1)}% lower)` : '';
+        const startNote = start.captured < minCapture
+            ? `<p>The starting position kept only ${percent(start.captured)} of the stream on the fixture.</p>`
+            : '';
+        return `
+            <p><strong>Best placement found: ${position(best.sourcePoint)}</strong></p>
+            <p>${metricLabel}: ${start.value.toFixed(4)} → ${best.value.toFixed(4)}${change}</p>
+            ${startNote}
+            <p>Stream on fixture: ${percent(best.captured)}. ${evaluations} positions simulated.</p>
+            <p>The source has been moved there. Run the simulation to see its heatmap.</p>
+        `;
+    }
+}
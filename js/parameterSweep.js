@@ -0,0 +1,144 @@
+// Parameter sweeps: every combination of exit velocity and source position over ranges
+import { SimulationEngine } from './simulationEngine.js';
+import { ResultAnalysis } from './resultAnalysis.js';
+
+// Swept variables, in the order they vary (exit velocity slowest)
+const SWEEP_VARIABLES = ['exitVelocity', 'x', 'y', 'z'];
+
+// Largest sweep accepted, so a typo in a step can't queue hours of work
+const MAX_SWEEP_RUNS = 1000;
+
+// Tolerance so a range like 0 to 1 in steps of 0.1 includes its end
+const RANGE_EPSILON = 1e-9;
+
+// Expand { from, to, step } into its values. A step of 0 or from equal to to gives just from
+function expandRange(range) {
+    if (range.step === 0 || range.from === range.to) {
+        return [range.from];
+    }
+
+    const count = Math.floor((range.to - range.from) / range.step + RANGE_EPSILON) + 1;
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        // Round away floating point drift so values read as entered (0.3, not 0.30000000000000004)
+        values.push(Number((range.from + i * range.step).toPrecision(12)));
+    }
+    return values;
+}
+
+// Check a sweep definition and list every run in it
+// sweep has a { from, to, step } range for each of SWEEP_VARIABLES
+// bounds is { min, max } with x/y/z limits for the source position
+function buildRuns(sweep, bounds) {
+    const problems = [];
+    const values = {};
+
+    for (const variable of SWEEP_VARIABLES) {
+        const range = sweep[variable];
+        if (!range || ![range.from, range.to, range.step].every(Number.isFinite)) {
+            problems.push(`${variable} needs numeric from, to and step values`);
+            continue;
+        }
+        if (range.step < 0) {
+            problems.push(`${variable} step must be at least 0`);
+            continue;
+        }
+        if (range.to < range.from) {
+            problems.push(`${variable} must run from a lower to a higher value`);
+            continue;
+        }
+        if (range.step === 0 && range.to !== range.from) {
+            problems.push(`${variable} needs a step greater than 0 to cover a range`);
+            continue;
+        }
+
+        if (variable === 'exitVelocity') {
+            if (range.from <= 0) problems.push('exitVelocity must be greater than 0');
+        } else if (range.from < bounds.min[variable] || range.to > bounds.max[variable]) {
+            problems.push(`${variable} must stay within ${bounds.min[variable]} to ${bounds.max[variable]}`);
+        }
+
+        values[variable] = expandRange(range);
+    }
+
+    if (problems.length === 0) {
+        const runCount = SWEEP_VARIABLES.reduce((count, variable) => count * values[variable].length, 1);
+        if (runCount > MAX_SWEEP_RUNS) {
+            problems.push(`the sweep has ${runCount} runs, the limit is ${MAX_SWEEP_RUNS}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid sweep: ${problems.join('; ')}`);
+    }
+
+    const runs = [];
+    for (const exitVelocity of values.exitVelocity) {
+        for (const x of values.x) {
+            for (const y of values.y) {
+                for (const z of values.z) {
+                    runs.push({ exitVelocity, sourcePoint: { x, y, z } });
+                }
+            }
+        }
+    }
+    return runs;
+}
+
+// Simulate every run and collect its summary metrics into one row per run
+// onProgress(fraction) is called after each run
+function runSweep(modelData, runs, parameters, options = {}) {
+    const { onProgress } = options;
+    const rows = [];
+
+    for (let i = 0; i < runs.length; i++) {
+        const { exitVelocity, sourcePoint } = runs[i];
+        const results = SimulationEngine.simulateSplashback(modelData, sourcePoint, exitVelocity, parameters);
+        rows.push({
+            exitVelocity,
+            x: sourcePoint.x,
+            y: sourcePoint.y,
+            z: sourcePoint.z,
+            ...ResultAnalysis.summarizeResults(results)
+        });
+
+        if (onProgress) onProgress((i + 1) / runs.length);
+    }
+
+    return rows;
+}
+
+// Average a metric over the rows into a grid over two swept variables
+// Rows that differ only in the other variables are averaged into the same cell
+// Returns { xValues, yValues, cells } with cells[yIndex][xIndex], null where no row fell
+function buildResponseGrid(rows, xVariable, yVariable, metric) {
+    const xValues = [...new Set(rows.map(row => row[xVariable]))].sort((a, b) => a - b);
+    const yValues = [...new Set(rows.map(row => row[yVariable]))].sort((a, b) => a - b);
+    const sums = yValues.map(() => new Array(xValues.length).fill(0));
+    const counts = yValues.map(() => new Array(xValues.length).fill(0));
+
+    for (const row of rows) {
+        const value = row[metric];
+        if (value === null || !Number.isFinite(value)) continue;
+
+        const xi = xValues.indexOf(row[xVariable]);
+        const yi = yValues.indexOf(row[yVariable]);
+        sums[yi][xi] += value;
+        counts[yi][xi]++;
+    }
+
+    const cells = sums.map((sumRow, yi) =>
+        sumRow.map((sum, xi) => counts[yi][xi] > 0 ? sum / counts[yi][xi] : null)
+    );
+    return { xValues, yValues, cells };
+}
+
+// Export the functions we need to access from other modules
+export const ParameterSweep = {
+    SWEEP_VARIABLES,
+    MAX_SWEEP_RUNS,
+    expandRange,
+    buildRuns,
+    runSweep,
+    buildResponseGrid
+};
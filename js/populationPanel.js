@@ -0,0 +1,171 @@
+// Monte Carlo population study controls, confidence interval summary and convergence chart
+import { PopulationStudy } from './populationStudy.js';
+import { ConvergenceChart } from './convergenceChart.js';
+import { HtmlText } from './htmlText.js';
+
+export class PopulationPanel {
+    constructor(uiController) {
+        this.ui = uiController;
+
+        // Spread is the standard deviation for 'normal' and the half-width for 'uniform'
+        this.population = {
+            samples: 30,
+            seed: 1,
+            variables: {
+                x: { distribution: 'normal', mean: 0, spread: 0.05 },
+                y: { distribution: 'normal', mean: 1.0, spread: 0.1 },
+                z: { distribution: 'normal', mean: 0.7, spread: 0.05 },
+                exitVelocity: { distribution: 'normal', mean: 2.5, spread: 0.3 },
+                aimYaw: { distribution: 'normal', mean: 0, spread: 5 },
+                aimPitch: { distribution: 'normal', mean: 0, spread: 5 }
+            }
+        };
+        this.results = null;
+    }
+
+    setupEventListeners() {
+        // Variable inputs name their field as "y.mean"
+        document.querySelectorAll('[data-population]').forEach((input) => {
+            const [variable, field] = input.dataset.population.split('.');
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+                this.population.variables[variable][field] = field === 'distribution' ? input.value : parseFloat(input.value);
+                this.validate();
+            });
+        });
+
+        for (const field of ['samples', 'seed']) {
+            const input = document.getElementById(`population-${field}`);
+            if (input) {
+                input.addEventListener('input', () => {
+                    this.population[field] = parseInt(input.value, 10);
+                    this.validate();
+                });
+            } else {
+                console.warn(`Element not found: population-${field}`);
+            }
+        }
+        this.updateInputs();
+
+        const currentButton = document.getElementById('population-use-current');
+        if (currentButton) {
+            currentButton.addEventListener('click', () => this.useCurrentSource());
+        } else {
+            console.warn('Element not found: population-use-current');
+        }
+
+        const runButton = document.getElementById('run-population');
+        if (runButton) {
+            runButton.addEventListener('click', () => this.runPopulation());
+        } else {
+            console.warn('Element not found: run-population');
+        }
+    }
+
+    updateInputs() {
+        document.querySelectorAll('[data-population]').forEach((input) => {
+            const [variable, field] = input.dataset.population.split('.');
+            input.value = this.population.variables[variable][field];
+        });
+        for (const field of ['samples', 'seed']) {
+            const input = document.getElementById(`population-${field}`);
+            if (input) input.value = this.population[field];
+        }
+        this.validate();
+    }
+
+    // Center the distributions on the selected source and current force, aiming as set
+    useCurrentSource() {
+        const sourcePoint = this.ui.sourcePointManager.getSourcePoint();
+        const { variables } = this.population;
+        for (const axis of ['x', 'y', 'z']) {
+            variables[axis].mean = Number(sourcePoint[axis].toFixed(3));
+        }
+        const exitVelocity = this.ui.getExitVelocity();
+        if (Number.isFinite(exitVelocity) && exitVelocity > 0) {
+            variables.exitVelocity.mean = Number(exitVelocity.toFixed(3));
+        }
+        variables.aimYaw.mean = 0;
+        variables.aimPitch.mean = 0;
+        this.updateInputs();
+    }
+
+    // Show what is wrong with the study definition, if anything
+    validate() {
+        const errorEl = document.getElementById('population-error');
+        try {
+            PopulationStudy.validatePopulation(this.population, this.ui.sourcePointManager.getPositionBounds());
+            if (errorEl) errorEl.textContent = '';
+            return true;
+        } catch (error) {
+            if (errorEl) errorEl.textContent = error.message;
+            return false;
+        }
+    }
+
+    runPopulation() {
+        const currentModel = this.ui.sceneManager.getCurrentModel();
+        if (!currentModel) {
+            alert('Please upload a model first');
+            return;
+        }
+
+        // Ignore clicks while a run is in progress
+        if (this.ui.simulationRunner.isRunning()) return;
+
+        const parameters = this.ui.getSimulationParameters();
+        let samples;
+        try {
+            samples = PopulationStudy.drawSamples(this.population, this.ui.sourcePointManager.getPositionBounds(), parameters.aimDirection);
+        } catch (error) {
+            document.getElementById('population-error').textContent = error.message;
+            return;
+        }
+
+        this.ui.playback.stop();
+        this.ui.showLoading(true, true);
+
+        const { seed } = this.population;
+        this.ui.simulationRunner.runPopulation(currentModel, samples, parameters, {
+            onProgress: (percent) => this.ui.updateProgress(percent),
+            colorSettings: this.ui.colorSettings
+        })
+            .then(results => {
+                this.results = results;
+                const average = results.population.averageSplashback;
+                this.ui.showRunResults(results,
+                    `Population of ${samples.length} (seed ${seed})`,
+                    `Population study complete! (${samples.length} sampled users, seed ${seed})`,
+                    `<p><strong>Average splashback: ${average.mean.toFixed(3)} ± ${average.halfWidth.toFixed(3)} (95% CI)</strong></p>
+                    <p class="help-text">The heatmap shows each face's mean over the population, click a face for its interval.</p>`);
+                this.showResults();
+                this.ui.showLoading(false);
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    document.getElementById('stats').innerHTML = '<p>Population study cancelled.</p>';
+                } else {
+                    console.error('Population study error:', error);
+                    document.getElementById('stats').innerHTML = `<p class="error">Population study failed: ${HtmlText.escapeHtml(error.message)}</p>`;
+                }
+                this.ui.showLoading(false);
+            });
+    }
+
+    // Interval summary and how the average settled as samples were added
+    showResults() {
+        const panel = document.getElementById('population-results');
+        if (!panel || !this.results) return;
+        panel.hidden = false;
+
+        const { averageSplashback, convergence } = this.results.population;
+        const relative = averageSplashback.mean > 0 ? averageSplashback.halfWidth / averageSplashback.mean : 0;
+        document.getElementById('population-summary').innerHTML = `
+            <p>Average splashback over ${averageSplashback.samples} sampled users: ${averageSplashback.mean.toFixed(4)},
+            95% CI ${averageSplashback.low.toFixed(4)} to ${averageSplashback.high.toFixed(4)} (±${(relative * 100).toFixed(1)}%)</p>
+        `;
+        ConvergenceChart.drawConvergenceChart(document.getElementById('population-chart'), convergence, {
+            x: 'Sampled users',
+            y: 'Average splashback'
+        });
+    }
+}
@@ -0,0 +1,179 @@
+// Monte Carlo population studies: the source position, force and aim are drawn from
+// distributions, as for users of different heights, stances and flow, and the runs averaged
+import { SimulationEngine } from './simulationEngine.js';
+import { Sampling } from './sampling.js';
+
+// Drawn variables: source position (m), exit velocity (m/s) and the aim turned
+// left/right (yaw) and up/down (pitch) from the set aim direction (degrees)
+const POPULATION_VARIABLES = ['x', 'y', 'z', 'exitVelocity', 'aimYaw', 'aimPitch'];
+
+// 'normal' draws around the mean with spread as the standard deviation,
+// 'uniform' draws within spread either side of the mean and 'fixed' always gives the mean
+const DISTRIBUTIONS = ['normal', 'uniform', 'fixed'];
+
+// Largest study accepted, as every sampled user is a full simulation
+const MAX_POPULATION_SAMPLES = 1000;
+
+// Draws below this exit velocity (m/s) are raised to it
+const MIN_EXIT_VELOCITY = 0.1;
+
+// Aim pitch is kept short of straight up or down, where yaw means nothing
+const MAX_AIM_PITCH = 89;
+
+// Draw one value from a variable's distribution
+function drawValue(variable, random) {
+    if (variable.distribution === 'fixed' || variable.spread === 0) {
+        return variable.mean;
+    }
+    if (variable.distribution === 'uniform') {
+        return variable.mean + (random() * 2 - 1) * variable.spread;
+    }
+    // Box-Muller, 1 - random() keeps the logarithm finite
+    const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(Math.PI * 2 * random());
+    return variable.mean + gaussian * variable.spread;
+}
+
+// Check a study definition: { samples, seed, variables } with a
+// { distribution, mean, spread } for each of POPULATION_VARIABLES
+// bounds is { min, max } with x/y/z limits for the source position
+// The panel checks the study as it is edited, so every problem is listed at once
+function validatePopulation(population, bounds) {
+    const problems = [];
+
+    if (!Number.isInteger(population.samples) || population.samples < 2 || population.samples > MAX_POPULATION_SAMPLES) {
+        problems.push(`samples must be a whole number from 2 to ${MAX_POPULATION_SAMPLES}`);
+    }
+    if (!Number.isInteger(population.seed) || population.seed < 0) {
+        problems.push('seed must be a whole number of at least 0');
+    }
+
+    for (const name of POPULATION_VARIABLES) {
+        const variable = population.variables && population.variables[name];
+        if (!variable || !DISTRIBUTIONS.includes(variable.distribution)) {
+            problems.push(`${name} distribution must be one of ${DISTRIBUTIONS.join(', ')}`);
+            continue;
+        }
+        if (!Number.isFinite(variable.mean) || !Number.isFinite(variable.spread) || variable.spread < 0) {
+            problems.push(`${name} needs a numeric mean and a spread of at least 0`);
+            continue;
+        }
+
+        if (name === 'exitVelocity') {
+            if (variable.mean <= 0) problems.push('exitVelocity mean must be greater than 0');
+        } else if (name === 'aimYaw') {
+            if (Math.abs(variable.mean) > 180) problems.push('aimYaw mean must be within ±180°');
+        } else if (name === 'aimPitch') {
+            if (Math.abs(variable.mean) > MAX_AIM_PITCH) problems.push(`aimPitch mean must be within ±${MAX_AIM_PITCH}°`);
+        } else if (variable.mean < bounds.min[name] || variable.mean > bounds.max[name]) {
+            problems.push(`${name} mean must stay within ${bounds.min[name]} to ${bounds.max[name]}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid population: ${problems.join('; ')}`);
+    }
+}
+
+// Draw the study's samples, each { sourcePoint, exitVelocity, aimDirection }
+// aimDirection is the set aim the yaw and pitch are measured from
+// Positions are kept within bounds and forces above MIN_EXIT_VELOCITY
+function drawSamples(population, bounds, aimDirection) {
+    validatePopulation(population, bounds);
+    const random = Sampling.createRandom(population.seed);
+    const { variables } = population;
+
+    // The set aim as yaw about the vertical (0 facing -z) and pitch above the horizontal
+    const length = Math.hypot(aimDirection.x, aimDirection.y, aimDirection.z);
+    const baseYaw = Math.atan2(aimDirection.x, -aimDirection.z);
+    const basePitch = Math.asin(Math.max(-1, Math.min(1, aimDirection.y / length)));
+
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const samples = [];
+    for (let i = 0; i < population.samples; i++) {
+        // Every variable is drawn, fixed or not, so changing one distribution
+        // leaves the draws of the others as they were
+        const drawn = {};
+        for (const name of POPULATION_VARIABLES) {
+            drawn[name] = drawValue(variables[name], random);
+        }
+
+        const yaw = baseYaw + drawn.aimYaw * Math.PI / 180;
+        const maxPitch = MAX_AIM_PITCH * Math.PI / 180;
+        const pitch = clamp(basePitch + drawn.aimPitch * Math.PI / 180, -maxPitch, maxPitch);
+        samples.push({
+            sourcePoint: {
+                x: clamp(drawn.x, bounds.min.x, bounds.max.x),
+                y: clamp(drawn.y, bounds.min.y, bounds.max.y),
+                z: clamp(drawn.z, bounds.min.z, bounds.max.z)
+            },
+            exitVelocity: Math.max(MIN_EXIT_VELOCITY, drawn.exitVelocity),
+            aimDirection: {
+                x: Math.sin(yaw) * Math.cos(pitch),
+                y: Math.sin(pitch),
+                z: -Math.cos(yaw) * Math.cos(pitch)
+            }
+        });
+    }
+    return samples;
+}
+
+// Simulate every sample and average them into one result: each face's splashback is its mean
+// over the samples, a sample that missed the face counting as 0, with the 95% confidence
+// interval's half-width as face.splashbackCI. results.population holds the interval for the
+// average splashback and its convergence, the running mean after each sample
+// onProgress(fraction) is called after each sample
+function runPopulation(modelData, samples, parameters, options = {}) {
+    const { onProgress } = options;
+    const params = SimulationEngine.validateParameters(parameters);
+    const combined = SimulationEngine.createCombinedResults(params, 'runs');
+
+    let faceSums = null;
+    let faceSquares = null;
+    let averageSum = 0;
+    let averageSquares = 0;
+    const convergence = [];
+
+    samples.forEach((sample, i) => {
+        const run = SimulationEngine.simulateSplashback(modelData, sample.sourcePoint, sample.exitVelocity, {
+            ...parameters,
+            aimDirection: sample.aimDirection
+        });
+        SimulationEngine.addToCombined(combined, run);
+
+        if (!faceSums) {
+            faceSums = new Float64Array(run.faceData.length);
+            faceSquares = new Float64Array(run.faceData.length);
+        }
+        run.faceData.forEach((face, f) => {
+            faceSums[f] += face.splashback;
+            faceSquares[f] += face.splashback * face.splashback;
+        });
+
+        averageSum += run.averageSplashback;
+        averageSquares += run.averageSplashback * run.averageSplashback;
+        convergence.push(Sampling.confidenceInterval(averageSum, averageSquares, i + 1));
+
+        if (onProgress) onProgress((i + 1) / samples.length);
+    });
+
+    const results = SimulationEngine.finishCombined(modelData, combined);
+    results.faceData.forEach((face, f) => {
+        face.splashbackCI = Sampling.confidenceInterval(faceSums[f], faceSquares[f], samples.length).halfWidth;
+    });
+    results.population = {
+        samples: samples.length,
+        averageSplashback: convergence[convergence.length - 1],
+        convergence
+    };
+    return results;
+}
+
+// Export the functions we need to access from other modules
+export const PopulationStudy = {
+    POPULATION_VARIABLES,
+    DISTRIBUTIONS,
+    MAX_POPULATION_SAMPLES,
+    validatePopulation,
+    drawSamples,
+    runPopulation
+};
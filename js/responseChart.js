@@ -0,0 +1,111 @@
+// Draws a 2D response chart: a grid of cells colored by a metric over two swept variables
+import { Colormap } from './colormap.js';
+
+const MARGIN = { top: 28, right: 80, bottom: 48, left: 64 };
+const MAX_TICK_LABELS = 10;
+
+// Draw a grid from ParameterSweep.buildResponseGrid onto a canvas
+// labels holds the axis and metric names: { x, y, metric }
+// colorSettings picks the colormap; the range always follows the metric's values
+function drawResponseChart(canvas, grid, labels, colorSettings = Colormap.DEFAULT_COLOR_SETTINGS) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const { xValues, yValues, cells } = grid;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, width, height);
+
+    // Color range over the cells that have a value
+    let min = Infinity;
+    let max = -Infinity;
+    for (const row of cells) {
+        for (const value of row) {
+            if (value === null) continue;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    }
+    if (min === Infinity) {
+        min = 0;
+        max = 0;
+    }
+    const scale = Colormap.createColorScale({ ...colorSettings, range: 'auto' }, min, max);
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const cellWidth = plotWidth / xValues.length;
+    const cellHeight = plotHeight / yValues.length;
+
+    // Cells, lowest y value at the bottom. Cells without a value are grey
+    for (let yi = 0; yi < yValues.length; yi++) {
+        for (let xi = 0; xi < xValues.length; xi++) {
+            const value = cells[yi][xi];
+            const left = MARGIN.left + xi * cellWidth;
+            const top = MARGIN.top + (yValues.length - 1 - yi) * cellHeight;
+            ctx.fillStyle = value === null ? '#dddddd' : scale.css(value);
+            ctx.fillRect(left, top, Math.ceil(cellWidth), Math.ceil(cellHeight));
+        }
+    }
+
+    ctx.strokeStyle = '#333333';
+    ctx.strokeRect(MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+
+    // Tick labels at the centre of each cell, thinned out when there are many
+    ctx.fillStyle = '#333333';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const xEvery = Math.ceil(xValues.length / MAX_TICK_LABELS);
+    xValues.forEach((value, xi) => {
+        if (xi % xEvery !== 0) return;
+        ctx.fillText(Colormap.formatTick(value), MARGIN.left + (xi + 0.5) * cellWidth, MARGIN.top + plotHeight + 4);
+    });
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const yEvery = Math.ceil(yValues.length / MAX_TICK_LABELS);
+    yValues.forEach((value, yi) => {
+        if (yi % yEvery !== 0) return;
+        ctx.fillText(Colormap.formatTick(value), MARGIN.left - 4, MARGIN.top + (yValues.length - 0.5 - yi) * cellHeight);
+    });
+
+    // Axis and chart titles
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(labels.x, MARGIN.left + plotWidth / 2, height - 4);
+    ctx.fillText(labels.metric, MARGIN.left + plotWidth / 2, MARGIN.top - 8);
+
+    ctx.save();
+    ctx.translate(14, MARGIN.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(labels.y, 0, 0);
+    ctx.restore();
+
+    drawColorBar(ctx, width - MARGIN.right + 16, MARGIN.top, 14, plotHeight, scale);
+}
+
+// Vertical color bar with the value range, high at the top
+function drawColorBar(ctx, left, top, barWidth, barHeight, scale) {
+    for (let i = 0; i < barHeight; i++) {
+        ctx.fillStyle = Colormap.toCss(Colormap.sampleColormap(scale.colormap, 1 - i / barHeight));
+        ctx.fillRect(left, top + i, barWidth, 1);
+    }
+    ctx.strokeStyle = '#333333';
+    ctx.strokeRect(left, top, barWidth, barHeight);
+
+    ctx.fillStyle = '#333333';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(Colormap.formatTick(scale.max), left + barWidth + 4, top);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(Colormap.formatTick(scale.min), left + barWidth + 4, top + barHeight);
+}
+
+// Export the functions we need to access from other modules
+export const ResponseChart = {
+    drawResponseChart
+};
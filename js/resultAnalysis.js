@@ -0,0 +1,154 @@
+// Summaries of simulation results and comparisons between runs
+// Works on plain result objects, so the command line reports the same figures as the page
+
+// Summary metrics compared between a baseline run and the current one
+const COMPARED_METRICS = ['averageSplashback', 'maxSplashback', 'minSplashback', 'hitCoverage'];
+
+// Bins in the incident angle and impact speed histograms of a face
+const FACE_HISTOGRAM_BINS = 6;
+
+// Headline figures for a run, flat so they are easy to compare between runs
+function summarizeResults(results) {
+    const floor = results.floorContamination;
+    const exposure = results.userExposure;
+    const facesHit = results.faceData.filter(face => face.hits > 0).length;
+    const primaryHits = results.faceData.reduce((sum, face) => sum + face.hits, 0);
+    const estimate = results.sampling ? results.sampling.splashbackPerTrajectory : null;
+
+    return {
+        averageSplashback: results.averageSplashback,
+        maxSplashback: results.maxSplashback,
+        minSplashback: results.minSplashback,
+        faceCount: results.faceData.length,
+        facesHit,
+        hitCoverage: results.faceData.length > 0 ? facesHit / results.faceData.length : 0,
+        // Share of the traced stream that landed on the fixture rather than missing it
+        streamCaptured: results.tracedTrajectories > 0 ? primaryHits / results.tracedTrajectories : 0,
+        reboundDroplets: results.reboundDroplets,
+        reboundDropletsOnModel: results.reboundDropletsOnModel,
+        floorDroplets: floor.total,
+        floorDropletsOutsideGrid: floor.outsideGrid,
+        userDroplets: exposure ? exposure.droplets : null,
+        userStreamFraction: exposure ? exposure.streamFraction : null,
+        userEnergyPerKg: exposure ? exposure.energyPerKg : null,
+        // Mean splashback per traced trajectory and its 95% interval half-width,
+        // null when a run traced nothing
+        splashbackPerTrajectory: estimate ? estimate.mean : null,
+        splashbackPerTrajectoryError: estimate ? estimate.halfWidth : null,
+        completed: results.completed,
+        tracedTrajectories: results.tracedTrajectories,
+        totalTrajectories: results.totalTrajectories
+    };
+}
+
+// Splashback figures for each mesh of a multi-mesh model, in model order
+function summarizeMeshes(results) {
+    return Object.entries(results.meshes).map(([uuid, mesh]) => {
+        const faces = results.faceData.slice(mesh.faceOffset, mesh.faceOffset + mesh.faceCount);
+        let total = 0;
+        let max = 0;
+        let facesHit = 0;
+        for (const face of faces) {
+            total += face.splashback;
+            max = Math.max(max, face.splashback);
+            if (face.hits > 0) facesHit++;
+        }
+
+        return {
+            uuid,
+            name: mesh.name,
+            faceCount: mesh.faceCount,
+            facesHit,
+            averageSplashback: mesh.faceCount > 0 ? total / mesh.faceCount : 0,
+            maxSplashback: max
+        };
+    });
+}
+
+// Everything recorded about one face: its values, the impacts that hit it and the
+// launch directions they came from. faceIndex is the face's position in faceData
+// Impact speeds are binned over the whole run's range so faces can be compared
+function getFaceDetails(results, faceIndex) {
+    const face = results.faceData[faceIndex];
+    if (!face) {
+        throw new Error(`No face ${faceIndex} in these results`);
+    }
+
+    const impacts = results.impacts
+        .filter(impact => impact.face === faceIndex)
+        .map(impact => ({ ...impact, launchDirection: results.launches[impact.launch] }));
+
+    let maxSpeed = 0;
+    for (const impact of results.impacts) maxSpeed = Math.max(maxSpeed, impact.impactSpeed);
+
+    return {
+        face,
+        meshName: results.meshes[face.mesh].name,
+        // Share of the traced stream that first landed on this face
+        streamFraction: results.tracedTrajectories > 0 ? impacts.length / results.tracedTrajectories : 0,
+        impacts,
+        incidentAngles: histogram(impacts.map(impact => impact.incidentAngle), 0, 90, FACE_HISTOGRAM_BINS),
+        impactSpeeds: histogram(impacts.map(impact => impact.impactSpeed), 0, Math.max(maxSpeed, 1e-6), FACE_HISTOGRAM_BINS)
+    };
+}
+
+// Count values into equal bins from min to max, the last bin including max
+function histogram(values, min, max, binCount) {
+    const width = (max - min) / binCount;
+    const bins = [];
+    for (let i = 0; i < binCount; i++) {
+        bins.push({ from: min + i * width, to: min + (i + 1) * width, count: 0 });
+    }
+    for (const value of values) {
+        const bin = Math.min(binCount - 1, Math.max(0, Math.floor((value - min) / width)));
+        bins[bin].count++;
+    }
+    return bins;
+}
+
+// Change from a baseline run to the current one (current minus baseline)
+// Both runs must be on the same model, faces are matched by their position in faceData
+function compareResults(baseline, current) {
+    const meshLayout = (results) => Object.values(results.meshes).map(mesh => mesh.faceCount).join(',');
+    if (baseline.faceData.length !== current.faceData.length || meshLayout(baseline) !== meshLayout(current)) {
+        throw new Error('The baseline was run on a different model');
+    }
+
+    const faceDeltas = new Float32Array(current.faceData.length);
+    let maxAbsDelta = 0;
+    let facesWorse = 0;
+    let facesBetter = 0;
+    for (let i = 0; i < faceDeltas.length; i++) {
+        const delta = current.faceData[i].splashback - baseline.faceData[i].splashback;
+        faceDeltas[i] = delta;
+        maxAbsDelta = Math.max(maxAbsDelta, Math.abs(delta));
+        if (delta > 0) facesWorse++;
+        if (delta < 0) facesBetter++;
+    }
+
+    const baselineSummary = summarizeResults(baseline);
+    const currentSummary = summarizeResults(current);
+    const changes = {};
+    for (const metric of COMPARED_METRICS) {
+        changes[metric] = currentSummary[metric] - baselineSummary[metric];
+    }
+
+    return {
+        faceDeltas,
+        maxAbsDelta,
+        facesWorse,
+        facesBetter,
+        baseline: baselineSummary,
+        current: currentSummary,
+        changes
+    };
+}
+
+// Export the functions we need to access from other modules
+export const ResultAnalysis = {
+    COMPARED_METRICS,
+    summarizeResults,
+    summarizeMeshes,
+    getFaceDetails,
+    compareResults
+};
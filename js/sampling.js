@@ -0,0 +1,144 @@
+// Seeded point sets on the unit square for sampling launch directions, and the
+// confidence intervals used to report how far Monte Carlo estimates have converged
+
+// 'random' draws independent pseudo-random points, 'stratified' one jittered point in each
+// of count equal-area cells, 'halton' and 'sobol' low-discrepancy sequences randomly shifted
+// by the seed. 'rings' is the engine's regular grid and draws no points here
+const SAMPLERS = ['rings', 'random', 'stratified', 'halton', 'sobol'];
+
+// Two-sided 95% point of the normal distribution, for confidence intervals
+const Z_95 = 1.959964;
+
+// Seeded pseudo-random numbers in [0, 1) (mulberry32), so a run can be repeated exactly
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// count points in [0, 1)², returned as [u0, v0, u1, v1, ...]
+function samplePoints(sampler, count, seed) {
+    const random = createRandom(seed);
+    const points = new Float64Array(count * 2);
+
+    if (sampler === 'random') {
+        for (let i = 0; i < count * 2; i++) {
+            points[i] = random();
+        }
+    } else if (sampler === 'stratified') {
+        fillStratified(points, count, random);
+    } else if (sampler === 'halton' || sampler === 'sobol') {
+        // A random shift of the whole sequence (Cranley-Patterson rotation) keeps its
+        // even spacing while giving each seed an independent estimate
+        const shiftU = random();
+        const shiftV = random();
+        for (let i = 0; i < count; i++) {
+            // Halton starts at index 1, its point 0 is the corner (0, 0)
+            const u = sampler === 'halton' ? radicalInverse(i + 1, 2) : sobolFirst(i);
+            const v = sampler === 'halton' ? radicalInverse(i + 1, 3) : sobolSecond(i);
+            points[i * 2] = (u + shiftU) % 1;
+            points[i * 2 + 1] = (v + shiftV) % 1;
+        }
+    } else {
+        throw new Error(`Unknown sampler: ${sampler}`);
+    }
+
+    return points;
+}
+
+// One jittered point per cell, in about sqrt(count) rows. Rows hold whole numbers of cells
+// and are as tall as their share of the cells, so every cell has the same area for any count
+function fillStratified(points, count, random) {
+    const rows = Math.max(1, Math.floor(Math.sqrt(count)));
+    let i = 0;
+    let rowStart = 0;
+    for (let row = 0; row < rows; row++) {
+        const cells = Math.floor(count / rows) + (row < count % rows ? 1 : 0);
+        const rowHeight = cells / count;
+        for (let cell = 0; cell < cells; cell++) {
+            points[i * 2] = (cell + random()) / cells;
+            points[i * 2 + 1] = rowStart + random() * rowHeight;
+            i++;
+        }
+        rowStart += rowHeight;
+    }
+}
+
+// Van der Corput radical inverse of index in the given base, the Halton sequence's coordinates
+function radicalInverse(index, base) {
+    let result = 0;
+    let fraction = 1 / base;
+    while (index > 0) {
+        result += (index % base) * fraction;
+        index = Math.floor(index / base);
+        fraction /= base;
+    }
+    return result;
+}
+
+// First Sobol coordinate: the bits of the index reversed, the base 2 radical inverse
+function sobolFirst(index) {
+    return radicalInverse(index, 2);
+}
+
+// Second Sobol coordinate, from the direction numbers of the primitive polynomial x + 1
+function sobolSecond(index) {
+    let result = 0;
+    let direction = 0x80000000;
+    for (let bits = index; bits > 0; bits >>>= 1) {
+        if (bits & 1) result ^= direction;
+        direction ^= direction >>> 1;
+    }
+    return (result >>> 0) / 4294967296;
+}
+
+// Inverse of the standard normal distribution function (Acklam's rational approximation,
+// relative error below 1.2e-9), for drawing normal values from evenly spread points
+function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    if (p < low || p > 1 - low) {
+        // Tails
+        const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+        const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        return p < low ? x : -x;
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Mean of n values from their sum and sum of squares, with the 95% interval around it
+// Returns { samples, mean, halfWidth, low, high }, the interval being 0 wide for a single value
+// The interval assumes independent values, so it overstates the error of stratified and
+// low-discrepancy samples, which converge faster
+function confidenceInterval(sum, squares, n) {
+    const mean = sum / n;
+    // Sample variance, clamped as rounding can take it just below 0
+    const variance = n > 1 ? Math.max(0, (squares - n * mean * mean) / (n - 1)) : 0;
+    const halfWidth = Z_95 * Math.sqrt(variance / n);
+    return { samples: n, mean, halfWidth, low: mean - halfWidth, high: mean + halfWidth };
+}
+
+// Export the functions we need to access from other modules
+export const Sampling = {
+    SAMPLERS,
+    createRandom,
+    samplePoints,
+    radicalInverse,
+    normalQuantile,
+    confidenceInterval
+};
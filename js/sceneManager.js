@@ -1,6 +1,7 @@
 // Manages the Three.js scene, camera, and renderer
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { HeatmapGenerator } from './heatmapGenerator.js';
 
 export class SceneManager {
     constructor(canvas) {
@@ -31,6 +32,12 @@ export class SceneManager {
         // Store current model
         this.currentModel = null;
         
+        // Floor contamination overlay drawn on the grid plane
+        this.floorHeatmap = null;
+        
+        // Outline of the face picked for inspection
+        this.faceHighlight = null;
+        
         // Bind methods
         this.onWindowResize = this.onWindowResize.bind(this);
     }
@@ -84,24 +91,94 @@ export class SceneManager {
         return this.currentModel;
     }
     
+    // Draw the floor contamination grid from a simulation as a heatmap on the floor plane
+    // colorSettings picks the colormap, as for the model's heatmap
+    setFloorContamination(floorGrid, colorSettings) {
+        this.clearFloorContamination();
+        if (!floorGrid || floorGrid.total <= 0) return;
+        
+        const geometry = new THREE.PlaneGeometry(floorGrid.size, floorGrid.size);
+        geometry.rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({
+            map: HeatmapGenerator.generateFloorTexture(floorGrid, colorSettings),
+            transparent: true,
+            opacity: 0.85,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        this.floorHeatmap = new THREE.Mesh(geometry, material);
+        this.floorHeatmap.name = "floorHeatmap";
+        // Lift slightly above the grid lines to avoid z-fighting
+        this.floorHeatmap.position.y = floorGrid.height + 0.002;
+        this.scene.add(this.floorHeatmap);
+    }
+    
+    clearFloorContamination() {
+        if (this.floorHeatmap) {
+            this.scene.remove(this.floorHeatmap);
+            this.floorHeatmap.geometry.dispose();
+            this.floorHeatmap.material.map.dispose();
+            this.floorHeatmap.material.dispose();
+            this.floorHeatmap = null;
+        }
+    }
+    
+    // Outline a face of the model, given its three corners in world space
+    setFaceHighlight(corners) {
+        this.clearFaceHighlight();
+        
+        const geometry = new THREE.BufferGeometry().setFromPoints(corners);
+        // Drawn over the model so the outline isn't hidden by the face itself
+        const outline = new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({
+            color: 0xff00ff,
+            depthTest: false
+        }));
+        const fill = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: 0xff00ff,
+            transparent: true,
+            opacity: 0.4,
+            side: THREE.DoubleSide,
+            depthTest: false
+        }));
+        
+        this.faceHighlight = new THREE.Group();
+        this.faceHighlight.name = "faceHighlight";
+        this.faceHighlight.add(outline, fill);
+        outline.renderOrder = 10;
+        fill.renderOrder = 10;
+        this.scene.add(this.faceHighlight);
+    }
+    
+    clearFaceHighlight() {
+        if (this.faceHighlight) {
+            this.scene.remove(this.faceHighlight);
+            this.faceHighlight.children[0].geometry.dispose();
+            this.faceHighlight.children.forEach(child => child.material.dispose());
+            this.faceHighlight = null;
+        }
+    }
+    
     resetView() {
         if (this.currentModel) {
-            // Center the model
+            // Center the model horizontally, keeping its height above the floor
             const box = new THREE.Box3().setFromObject(this.currentModel);
             const center = box.getCenter(new THREE.Vector3());
             const size = box.getSize(new THREE.Vector3());
             
-            this.currentModel.position.sub(center);
+            this.currentModel.position.x -= center.x;
+            this.currentModel.position.z -= center.z;
+            const target = new THREE.Vector3(0, center.y, 0);
             
             // Reset camera
             const maxDim = Math.max(size.x, size.y, size.z);
             const fov = this.camera.fov * (Math.PI / 180);
             const cameraDistance = maxDim / (2 * Math.tan(fov / 2));
             
-            this.camera.position.set(0, maxDim / 2, cameraDistance * 1.5);
-            this.camera.lookAt(0, 0, 0);
+            this.camera.position.set(0, center.y + maxDim / 2, cameraDistance * 1.5);
+            this.camera.lookAt(target);
             
-            this.controls.target.set(0, 0, 0);
+            this.controls.target.copy(target);
             this.controls.update();
         }
     }
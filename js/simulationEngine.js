@@ -1,88 +1,669 @@
 // Simulation engine for calculating splashback factors
-import * as THREE from 'three';
+// Works on plain geometry buffers without Three.js so it can run inside a Web Worker
+import { TriangleBVH } from './triangleBVH.js';
+import { UserZone } from './userZone.js';
+import { Sampling } from './sampling.js';
 
-// Physics constants
-const GRAVITY = 9.81;  // m/s²
-const ANGULAR_RESOLUTION = 20;  // Number of directions to sample
+// Default simulation parameters, each can be overridden through the parameters object
+const DEFAULT_PARAMETERS = {
+    gravity: 9.81,              // m/s²
+    angularResolution: 20,      // directions sampled around each ring of the stream cone
+    spreadRings: 2,             // rings between the aim direction and the edge of the cone
+    aimDirection: { x: 0, y: 0, z: -1 },
+    spreadAngle: 10,            // degrees, half-angle of the stream cone
+    jitter: 'none',             // 'none', 'uniform' or 'normal', how directions spread over the cone
+    sampler: 'rings',           // 'rings', 'random', 'stratified', 'halton' or 'sobol', see Sampling
+    sampleCount: 0,             // directions drawn by samplers other than rings, 0 for as many as the rings
+    seed: 1,                    // seeds every sampler but the rings, so runs can be repeated exactly
+    timeStep: 0.01,             // seconds between trajectory points
+    maxTime: 2.0,               // maximum simulated flight time in seconds
+    floorHeight: 0,             // trajectories stop once they drop below this height
+    restitution: 0.3,           // rebound speed as a fraction of the impact speed
+    reboundSpread: 25,          // degrees, half-angle of the cone around the reflected direction
+    reboundCount: 8,            // secondary droplets spawned per impact, 0 disables rebounds
+    floorGridSize: 10,          // side length of the floor contamination grid, centred on the origin
+    floorGridResolution: 50,    // cells along each side of the floor contamination grid
+    userZone: null,             // exposure zone placed relative to the source, see UserZone
+    splashModel: 'weber',       // 'weber' (impact speed and fluid properties) or 'legacy' (angle only)
+    dropletDiameter: 0.003,     // m
+    fluidDensity: 1000,         // kg/m³
+    surfaceTension: 0.072,      // N/m
+    weberThreshold: 150,        // normal-impact Weber number below which droplets don't splash
+    integrator: 'vacuum',       // 'vacuum' (closed-form parabola) or 'drag' (quadratic air drag)
+    airDensity: 1.2,            // kg/m³
+    dragCoefficient: 0.47,      // drag coefficient of free droplets (sphere)
+    jetDragCoefficient: 0.05,   // effective drag coefficient of the coherent jet before breakup
+    breakupLength: 0            // m of travel before the jet breaks into droplets, 0 for droplets from the start
+};
+const JITTER_MODES = ['none', 'uniform', 'normal'];
+const SPLASH_MODELS = ['weber', 'legacy'];
+const INTEGRATORS = ['vacuum', 'drag'];
+
+// Upper bound on sampled directions
+const MAX_SAMPLE_COUNT = 100000;
+
+// Points kept on a run's convergence history, however many trajectories it traces
+const CONVERGENCE_POINTS = 100;
+
+// Share of a normal distribution between its mean and 2 standard deviations above, Φ(2) - 0.5.
+// 'normal' jitter puts the cone edge at 2 standard deviations
+const NORMAL_WITHIN_TWO_SIGMA = 0.4772498680518208;
+
+// Most primary trajectories a run records with recordPaths, each with its rebounds. Dense runs
+// record every few launches instead, so the paths stay a few tens of MB at any sample count
+const MAX_RECORDED_PATHS = 2000;
+
+// Upper bound on trajectory points, so a tiny time step can't stall a run
+const MAX_TRAJECTORY_STEPS = 100000;
+
+// Secondary droplets start this far off the surface so they don't re-hit their own face
+const REBOUND_OFFSET = 1e-4;
+
+// Golden angle, spreads rebound directions evenly over their cone
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+// Triangle data and BVH of the last simulated model, rebuilt only when its geometry or placement changes
+let cachedTriangles = null;
+
+// Copy the geometry of every mesh in a model into plain buffers that can be
+// transferred to a worker, together with each mesh's world matrix
+function extractModelData(model) {
+    // Make sure world matrices reflect the model's current placement
+    model.updateMatrixWorld(true);
+    
+    const meshes = [];
+    model.traverse(function(child) {
+        if (child.isMesh) {
+            const geometry = child.geometry;
+            const positionAttribute = geometry.attributes.position;
+            const normalAttribute = geometry.attributes.normal;
+            
+            meshes.push({
+                uuid: child.uuid,
+                name: child.name,
+                positions: copyVectorAttribute(positionAttribute),
+                normals: normalAttribute ? copyVectorAttribute(normalAttribute) : null,
+                indices: geometry.index ? Uint32Array.from(geometry.index.array) : null,
+                matrixWorld: child.matrixWorld.elements.slice(),
+                signature: `${geometry.uuid}:${positionAttribute.version}:${child.matrixWorld.elements.join(',')}`
+            });
+        }
+    });
+    
+    return {
+        meshes,
+        signature: meshes.map(mesh => mesh.signature).join('|')
+    };
+}
+
+// Copy a 3-component buffer attribute (possibly interleaved) into its own Float32Array
+function copyVectorAttribute(attribute) {
+    const array = new Float32Array(attribute.count * 3);
+    for (let i = 0; i < attribute.count; i++) {
+        array[i * 3] = attribute.getX(i);
+        array[i * 3 + 1] = attribute.getY(i);
+        array[i * 3 + 2] = attribute.getZ(i);
+    }
+    return array;
+}
+
+// List the buffers of extracted model data so they can be transferred instead of copied
+function getTransferables(modelData) {
+    const buffers = [];
+    for (const mesh of modelData.meshes) {
+        buffers.push(mesh.positions.buffer);
+        if (mesh.normals) buffers.push(mesh.normals.buffer);
+        if (mesh.indices) buffers.push(mesh.indices.buffer);
+    }
+    return buffers;
+}
 
-// Simulate splashback for the given model and parameters
-function simulateSplashback(model, sourcePoint, forceValue) {
-    // Scale the force factor to a reasonable range
-    const initialVelocity = forceValue / 10.0;
+// Simulate splashback for the given model data and parameters
+// The model is in metres and exitVelocity is the speed the stream leaves the source at (m/s)
+// parameters may override any of DEFAULT_PARAMETERS and is validated before the run
+// Options: onProgress(fraction) is called as trajectories are traced,
+// timeBudget (ms) stops tracing early, returning results for what was traced so far,
+// and recordPaths keeps the points of every pathStride-th primary trajectory (default 1) and its
+// rebounds up to where each hit or landed, the stride being raised to keep MAX_RECORDED_PATHS
+// sourcePoint may instead be a list of weighted sources, see simulateSources
+function simulateSplashback(modelData, sourcePoint, exitVelocity, parameters = {}, options = {}) {
+    if (Array.isArray(sourcePoint)) {
+        return simulateSources(modelData, sourcePoint, parameters, options);
+    }
+    
+    const { onProgress, timeBudget, recordPaths, pathStride = 1 } = options;
+    const startTime = Date.now();
+    const params = validateParameters(parameters);
+    
+    if (!(typeof exitVelocity === 'number' && exitVelocity > 0 && Number.isFinite(exitVelocity))) {
+        throw new Error('Exit velocity must be a number greater than 0 (m/s)');
+    }
+    const initialVelocity = exitVelocity;
     
     // Create results data structure
+    // faceData lists every face of the model in mesh order; meshes is keyed by mesh UUID
+    // and gives each mesh's slice of faceData
     const results = {
         faceData: [],
-        vertexData: new Map(), // Add vertex data for interpolation
+        meshes: {},
         minSplashback: Infinity,
         maxSplashback: 0,
-        averageSplashback: 0
+        averageSplashback: 0,
+        reboundDroplets: 0,
+        reboundDropletsOnModel: 0,
+        floorContamination: createFloorGrid(params),
+        userExposure: null,
+        // Launch direction of each traced trajectory, and each trajectory's first impact
+        // on the model, so single faces can be explained
+        launches: [],
+        impacts: []
     };
     
-    let totalSplashback = 0;
-    let faceCount = 0;
+    // Rebound droplets reaching the user zone are counted rather than traced further
+    const userZone = params.userZone ? UserZone.resolveZone(params.userZone, sourcePoint) : null;
+    if (userZone) {
+        results.userExposure = {
+            droplets: 0,        // rebound droplets that reached the zone
+            volume: 0,          // their volume, in primary droplets
+            energy: 0,          // their kinetic energy, summed as 0.5 * volume * speed²
+            streamFraction: 0,  // share of the stream's volume that returned to the user
+            energyPerKg: 0      // rebound energy reaching the user per kg of stream (J/kg)
+        };
+    }
     
-    // Collect all meshes from the model
-    const meshes = [];
-    model.traverse(function(child) {
-        if (child instanceof THREE.Mesh) {
-            meshes.push(child);
+    // World-space triangles of the whole model with their BVH
+    const triangles = getModelTriangles(modelData);
+    
+    // Trace each sampled trajectory once through the model, crediting only the first surface it reaches
+    const faceSplashbackTotals = new Float64Array(triangles.faceCount);
+    const faceHitCounts = new Uint32Array(triangles.faceCount);
+    const faceReboundHits = new Uint32Array(triangles.faceCount);
+    const faceSpeedTotals = new Float64Array(triangles.faceCount);
+    const faceWeberTotals = new Float64Array(triangles.faceCount);
+    
+    const velocities = sampleLaunchVelocities(initialVelocity, params);
+    const launchBasis = createConeBasis(normalizeVector(params.aimDirection));
+    const primaryPaths = recordPaths ? createPathRecorder() : null;
+    const reboundPaths = recordPaths ? createPathRecorder() : null;
+    const recordStride = Math.max(pathStride, Math.ceil(velocities.length / MAX_RECORDED_PATHS));
+    const recordedLaunches = [];
+    let tracedCount = 0;
+    
+    // Running error estimate of the mean splashback per trajectory, a miss counting as 0,
+    // kept every convergenceStep trajectories
+    let splashbackSum = 0;
+    let splashbackSquares = 0;
+    const convergence = [];
+    const convergenceStep = Math.max(1, Math.ceil(velocities.length / CONVERGENCE_POINTS));
+    
+    for (const velocity of velocities) {
+        // Stop once the time budget is used up
+        if (timeBudget && Date.now() - startTime > timeBudget) break;
+        
+        results.launches.push(describeLaunch(velocity, launchBasis));
+        
+        const trajectoryPoints = calculateTrajectory(sourcePoint, velocity, params, params.breakupLength);
+        const hit = findFirstIntersection(trajectoryPoints, triangles);
+        const impactTime = hit ? (hit.segmentIndex - 1 + hit.segmentT) * params.timeStep : null;
+        const recordLaunch = recordPaths && tracedCount % recordStride === 0;
+        if (recordLaunch) {
+            recordPath(primaryPaths, trajectoryPoints, hit && { segmentIndex: hit.segmentIndex, t: hit.segmentT }, 0, params.timeStep);
+            recordedLaunches.push(tracedCount);
+        }
+        
+        if (hit) {
+            const splash = calculateSplash(hit, params);
+            const splashbackFactor = splash.intensity;
+            faceSplashbackTotals[hit.faceIndex] += splashbackFactor;
+            faceSpeedTotals[hit.faceIndex] += splash.impactSpeed;
+            faceWeberTotals[hit.faceIndex] += splash.weber;
+            faceHitCounts[hit.faceIndex]++;
+            splashbackSum += splashbackFactor;
+            splashbackSquares += splashbackFactor * splashbackFactor;
+            results.impacts.push({
+                face: hit.faceIndex,
+                launch: tracedCount,
+                point: hit.point,
+                time: impactTime,
+                incidentAngle: hit.incidentAngle * 180 / Math.PI,
+                impactSpeed: splash.impactSpeed,
+                splashback: splashbackFactor
+            });
+            
+            // The splashed-back fraction of the droplet leaves the surface again
+            // Rebound paths start from the impact, in simulated time
+            const onReboundPath = recordLaunch
+                ? (points, end) => recordPath(reboundPaths, points, end, impactTime, params.timeStep)
+                : null;
+            const rebounds = traceRebounds(hit, splashbackFactor, triangles, params, results.floorContamination, userZone, onReboundPath);
+            for (const reboundHit of rebounds.modelHits) {
+                faceReboundHits[reboundHit.faceIndex]++;
+            }
+            for (const userHit of rebounds.userHits) {
+                results.userExposure.droplets++;
+                results.userExposure.volume += userHit.weight;
+                results.userExposure.energy += 0.5 * userHit.weight * userHit.speed * userHit.speed;
+            }
+            results.reboundDroplets += rebounds.count;
+            results.reboundDropletsOnModel += rebounds.modelHits.length;
+        } else {
+            // Droplets that miss the fixture end up on the floor
+            recordFloorLanding(trajectoryPoints, 1, results.floorContamination, params);
+        }
+        
+        tracedCount++;
+        if (tracedCount % convergenceStep === 0 || tracedCount === velocities.length) {
+            convergence.push(Sampling.confidenceInterval(splashbackSum, splashbackSquares, tracedCount));
         }
+        if (onProgress) onProgress(tracedCount / velocities.length);
+    }
+    
+    // A run stopped by the time budget ends its history where it stopped
+    if (tracedCount > 0 && (convergence.length === 0 || convergence[convergence.length - 1].samples !== tracedCount)) {
+        convergence.push(Sampling.confidenceInterval(splashbackSum, splashbackSquares, tracedCount));
+    }
+    
+    // Normalise the exposure by the amount of stream traced, each trajectory carrying an equal share
+    if (results.userExposure && tracedCount > 0) {
+        results.userExposure.streamFraction = results.userExposure.volume / tracedCount;
+        results.userExposure.energyPerKg = results.userExposure.energy / tracedCount;
+    }
+    
+    // Path i runs over points offsets[i] to offsets[i + 1]. The first primaryCount paths belong
+    // to launches[i], rebound paths follow. Points are timeStep apart from the path's start time,
+    // except the last which is at its end time
+    if (recordPaths) {
+        results.paths = joinPaths([
+            { ...primaryPaths, launches: recordedLaunches, primaryCount: recordedLaunches.length },
+            { ...reboundPaths, launches: [], primaryCount: 0 }
+        ], params.timeStep);
+    }
+    
+    results.completed = tracedCount === velocities.length;
+    results.tracedTrajectories = tracedCount;
+    results.totalTrajectories = velocities.length;
+    
+    // How the directions were drawn and how far the estimate has converged: splashbackPerTrajectory
+    // is the final { samples, mean, halfWidth, low, high } and convergence its history
+    const sampler = getSampler(params);
+    results.sampling = {
+        sampler,
+        seed: sampler === 'rings' ? null : params.seed,
+        splashbackPerTrajectory: tracedCount > 0 ? convergence[convergence.length - 1] : null,
+        convergence
+    };
+    
+    // Per-face averages are over the trajectories that hit the face, each counting once
+    collectFaceResults(modelData, results, {
+        splashbackTotals: faceSplashbackTotals,
+        splashbackWeights: faceHitCounts,
+        speedTotals: faceSpeedTotals,
+        weberTotals: faceWeberTotals,
+        hitWeights: faceHitCounts,
+        hitCounts: faceHitCounts,
+        reboundHits: faceReboundHits
     });
     
+    return results;
+}
+
+// Simulate several sources, such as users of different heights, and combine them into one result
+// Each source is { position, exitVelocity, weight }, weights being relative shares of use
+// The result has the same shape as a single source's, with results.sources giving each source's
+// own figures. Counts (hits, droplets, trajectories) are totals over all sources; face splashback,
+// impact speed and the floor and user figures are weighted by the sources' shares
+function simulateSources(modelData, sources, parameters = {}, options = {}) {
+    const { onProgress, timeBudget, recordPaths, pathStride } = options;
+    const checkedSources = validateSources(sources);
+    const params = validateParameters(parameters);
+    
+    // Each source gets an equal share of the time budget
+    const runs = checkedSources.map((source, i) => simulateSplashback(modelData, source.position, source.exitVelocity, parameters, {
+        onProgress: onProgress ? (fraction) => onProgress((i + fraction) / checkedSources.length) : null,
+        timeBudget: timeBudget ? timeBudget / checkedSources.length : 0,
+        recordPaths,
+        pathStride
+    }));
+    
+    return combineSourceResults(modelData, checkedSources, runs, params);
+}
+
+// Check a list of sources, throwing an Error that lists all problems found
+function validateSources(sources) {
+    const problems = [];
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    
+    if (!Array.isArray(sources) || sources.length === 0) {
+        throw new Error('Invalid sources: at least one source is needed');
+    }
+    
+    sources.forEach((source, i) => {
+        const label = `source ${i + 1}`;
+        const position = source && source.position;
+        if (!position || !isNumber(position.x) || !isNumber(position.y) || !isNumber(position.z)) {
+            problems.push(`${label} position must have numeric x, y and z`);
+        }
+        if (!source || !isNumber(source.exitVelocity) || source.exitVelocity <= 0) {
+            problems.push(`${label} exit velocity must be a number greater than 0 (m/s)`);
+        }
+        if (!source || !isNumber(source.weight) || source.weight < 0) {
+            problems.push(`${label} weight must be a number of at least 0`);
+        }
+    });
+    if (problems.length === 0 && sources.every(source => source.weight === 0)) {
+        problems.push('at least one source needs a weight greater than 0');
+    }
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid sources: ${problems.join('; ')}`);
+    }
+    
+    return sources.map(source => ({
+        position: { x: source.position.x, y: source.position.y, z: source.position.z },
+        exitVelocity: source.exitVelocity,
+        weight: source.weight
+    }));
+}
+
+// Weighted aggregate of single-source runs over the same model and parameters
+function combineSourceResults(modelData, sources, runs, params) {
+    const totalWeight = sources.reduce((sum, source) => sum + source.weight, 0);
+    
+    // Weights scaled to average 1, so with equal weights the combined floor and user figures
+    // are plain totals over all sources, like the counts
+    const combined = createCombinedResults(params);
+    runs.forEach((run, s) => addToCombined(combined, run, sources[s].weight * sources.length / totalWeight));
+    const results = finishCombined(modelData, combined);
+    
+    // Each source's own figures, weight being its share of the total
+    results.sources = sources.map((source, s) => {
+        const run = runs[s];
+        return {
+            position: source.position,
+            exitVelocity: source.exitVelocity,
+            weight: source.weight / totalWeight,
+            averageSplashback: run.averageSplashback,
+            maxSplashback: run.maxSplashback,
+            facesHit: run.faceData.filter(face => face.hits > 0).length,
+            reboundDroplets: run.reboundDroplets,
+            floorDroplets: run.floorContamination.total,
+            userStreamFraction: run.userExposure ? run.userExposure.streamFraction : null,
+            tracedTrajectories: run.tracedTrajectories
+        };
+    });
+    
+    return results;
+}
+
+// Running totals for combining single-source runs over the same model into one result,
+// one run at a time so the runs need not all be kept. faceAverage sets how face figures combine:
+// 'hits' averages over the trajectories that hit the face, each weighted by its run's scale,
+// 'runs' averages the runs' face splashback, counting a run that missed the face as 0
+function createCombinedResults(params, faceAverage = 'hits') {
+    const sampler = getSampler(params);
+    return {
+        faceAverage,
+        runCount: 0,
+        stats: null,
+        pathSets: [],
+        // Totals for the combined splashback per trajectory, complete while every run has one
+        sampling: {
+            sampler,
+            seed: sampler === 'rings' ? null : params.seed,
+            samples: 0,
+            weight: 0,
+            meanTotal: 0,
+            halfWidthSquares: 0,
+            complete: true
+        },
+        results: {
+            faceData: [],
+            meshes: {},
+            minSplashback: Infinity,
+            maxSplashback: 0,
+            averageSplashback: 0,
+            reboundDroplets: 0,
+            reboundDropletsOnModel: 0,
+            floorContamination: createFloorGrid(params),
+            userExposure: null,
+            launches: [],
+            impacts: [],
+            completed: true,
+            tracedTrajectories: 0,
+            totalTrajectories: 0
+        }
+    };
+}
+
+// Add a run to the totals with a scale, its weight relative to the other runs
+// Counts (hits, droplets, trajectories) add up unscaled; face figures and the floor
+// and user figures are scaled
+function addToCombined(combined, run, scale = 1) {
+    const { results } = combined;
+    const runIndex = combined.runCount++;
+    
+    if (!combined.stats) {
+        const faceCount = run.faceData.length;
+        combined.stats = {
+            splashbackTotals: new Float64Array(faceCount),
+            splashbackWeights: new Float64Array(faceCount),
+            speedTotals: new Float64Array(faceCount),
+            weberTotals: new Float64Array(faceCount),
+            hitWeights: new Float64Array(faceCount),
+            hitCounts: new Uint32Array(faceCount),
+            reboundHits: new Uint32Array(faceCount)
+        };
+    }
+    const stats = combined.stats;
+    
+    run.faceData.forEach((face, i) => {
+        const weightedHits = face.hits * scale;
+        if (combined.faceAverage === 'runs') {
+            stats.splashbackTotals[i] += face.splashback * scale;
+            stats.splashbackWeights[i] += scale;
+        } else {
+            stats.splashbackTotals[i] += face.splashback * weightedHits;
+            stats.splashbackWeights[i] += weightedHits;
+        }
+        stats.speedTotals[i] += face.impactSpeed * weightedHits;
+        stats.weberTotals[i] += face.weber * weightedHits;
+        stats.hitWeights[i] += weightedHits;
+        stats.hitCounts[i] += face.hits;
+        stats.reboundHits[i] += face.reboundHits;
+    });
+    
+    // Launches follow one another, so impacts point at the combined launch list
+    const launchOffset = results.launches.length;
+    results.launches.push(...run.launches);
+    for (const impact of run.impacts) {
+        results.impacts.push({ ...impact, launch: impact.launch + launchOffset, source: runIndex });
+    }
+    
+    results.reboundDroplets += run.reboundDroplets;
+    results.reboundDropletsOnModel += run.reboundDropletsOnModel;
+    
+    const floor = results.floorContamination;
+    run.floorContamination.cells.forEach((cell, i) => {
+        floor.cells[i] += cell * scale;
+    });
+    floor.total += run.floorContamination.total * scale;
+    floor.outsideGrid += run.floorContamination.outsideGrid * scale;
+    
+    // Shares of the stream are summed here and averaged over the runs when finishing
+    if (run.userExposure) {
+        if (!results.userExposure) {
+            results.userExposure = { droplets: 0, volume: 0, energy: 0, streamFraction: 0, energyPerKg: 0 };
+        }
+        const exposure = results.userExposure;
+        exposure.droplets += run.userExposure.droplets;
+        exposure.volume += run.userExposure.volume * scale;
+        exposure.energy += run.userExposure.energy * scale;
+        exposure.streamFraction += run.userExposure.streamFraction * scale;
+        exposure.energyPerKg += run.userExposure.energyPerKg * scale;
+    }
+    
+    // Paths are only kept when every run recorded them, their launches counted in the combined list
+    combined.pathSets = run.paths && combined.pathSets
+        ? [...combined.pathSets, { ...run.paths, launches: run.paths.launches.map(launch => launch + launchOffset) }]
+        : null;
+    
+    // The runs' splashback per trajectory is averaged by scale, and their independent errors
+    // add in quadrature
+    const estimate = run.sampling.splashbackPerTrajectory;
+    const sampling = combined.sampling;
+    if (estimate) {
+        sampling.samples += estimate.samples;
+        sampling.weight += scale;
+        sampling.meanTotal += estimate.mean * scale;
+        sampling.halfWidthSquares += (estimate.halfWidth * scale) ** 2;
+    } else {
+        sampling.complete = false;
+    }
+    
+    results.completed = results.completed && run.completed;
+    results.tracedTrajectories += run.tracedTrajectories;
+    results.totalTrajectories += run.totalTrajectories;
+}
+
+// Turn the totals into a result shaped like a single run's
+function finishCombined(modelData, combined) {
+    const { results, stats, runCount } = combined;
+    if (runCount === 0) {
+        throw new Error('No runs to combine');
+    }
+    
+    const floor = results.floorContamination;
+    floor.maxCell = floor.cells.reduce((max, cell) => Math.max(max, cell), 0);
+    if (results.userExposure) {
+        results.userExposure.streamFraction /= runCount;
+        results.userExposure.energyPerKg /= runCount;
+    }
+    if (combined.pathSets) {
+        results.paths = joinPaths(combined.pathSets, combined.pathSets[0].timeStep);
+    }
+    
+    // Shaped like a single run's sampling; the runs were traced one after another, so there
+    // is no convergence history for the combined estimate
+    const sampling = combined.sampling;
+    let estimate = null;
+    if (sampling.complete && sampling.weight > 0) {
+        const mean = sampling.meanTotal / sampling.weight;
+        const halfWidth = Math.sqrt(sampling.halfWidthSquares) / sampling.weight;
+        estimate = { samples: sampling.samples, mean, halfWidth, low: mean - halfWidth, high: mean + halfWidth };
+    }
+    results.sampling = {
+        sampler: sampling.sampler,
+        seed: sampling.seed,
+        splashbackPerTrajectory: estimate,
+        convergence: []
+    };
+    
+    collectFaceResults(modelData, results, stats);
+    return results;
+}
+
+// Join recorded paths into one set of typed arrays: every set's primary paths first, in order
+// so they line up with the combined launches, then every set's rebound paths. Each set is shaped
+// like results.paths, with plain or typed arrays; the arrays are sized up front and copied with set()
+function joinPaths(pathSets, timeStep) {
+    const sum = (count) => pathSets.reduce((total, paths) => total + count(paths), 0);
+    const pathCount = sum(paths => paths.startTimes.length);
+    const primaryCount = sum(paths => paths.primaryCount);
+    const joined = {
+        points: new Float32Array(sum(paths => paths.points.length)),
+        offsets: new Uint32Array(pathCount + 1),
+        startTimes: new Float32Array(pathCount),
+        endTimes: new Float32Array(pathCount),
+        launches: new Uint32Array(primaryCount),
+        primaryCount,
+        timeStep
+    };
+    
+    // A run's own recorders are plain arrays and are always copied whole
+    const section = (array, from, to) => from === 0 && to === array.length ? array : array.subarray(from, to);
+    let pathIndex = 0;
+    let pointIndex = 0;
+    const appendPaths = (paths, from, to) => {
+        if (from === to) return;
+        const firstPoint = paths.offsets[from];
+        const lastPoint = paths.offsets[to];
+        joined.points.set(section(paths.points, firstPoint * 3, lastPoint * 3), pointIndex * 3);
+        for (let path = from; path < to; path++) {
+            joined.offsets[pathIndex + path - from + 1] = pointIndex + paths.offsets[path + 1] - firstPoint;
+        }
+        joined.startTimes.set(section(paths.startTimes, from, to), pathIndex);
+        joined.endTimes.set(section(paths.endTimes, from, to), pathIndex);
+        pathIndex += to - from;
+        pointIndex += lastPoint - firstPoint;
+    };
+    for (const paths of pathSets) {
+        // Primary paths come first, so they are numbered like the launches
+        if (paths.primaryCount > 0) joined.launches.set(section(paths.launches, 0, paths.primaryCount), pathIndex);
+        appendPaths(paths, 0, paths.primaryCount);
+    }
+    for (const paths of pathSets) appendPaths(paths, paths.primaryCount, paths.startTimes.length);
+    
+    return joined;
+}
+
+// Fill in faceData, the per-mesh slices and the splashback range and average,
+// from per-face totals indexed like the model's triangles. Splashback divides its totals by
+// splashbackWeights and impact speed and Weber number theirs by hitWeights. For a single source
+// both are the hit counts, combined runs weight them as createCombinedResults describes
+function collectFaceResults(modelData, results, stats) {
+    let totalSplashback = 0;
+    let faceCount = 0;
+    
     // Go through each mesh
-    for (const mesh of meshes) {
-        const geometry = mesh.geometry;
-        const positionAttribute = geometry.attributes.position;
-        const normalAttribute = geometry.attributes.normal;
+    let modelFaceIndex = 0;
+    for (const mesh of modelData.meshes) {
+        const positions = mesh.positions;
         
         // For indexed geometries
-        const indices = geometry.index ? geometry.index.array : null;
+        const indices = mesh.indices;
         
         // Process vertices based on whether geometry is indexed or not
-        const vertexCount = positionAttribute.count;
-        const meshFaceCount = indices ? indices.length / 3 : vertexCount / 3;
+        const vertexCount = positions.length / 3;
+        const meshFaceCount = Math.floor((indices ? indices.length : vertexCount) / 3);
         
-        for (let i = 0; i < meshFaceCount; i++) {
-            const face = { index: i, splashback: 0, vertices: [] };
-            
-            // Get face vertices and normal
-            const normalVectors = [];
-            const vertexPositions = [];
-            const vertexIndices = [];
+        const meshResults = {
+            name: mesh.name,
+            faceOffset: modelFaceIndex,
+            faceCount: meshFaceCount
+        };
+        results.meshes[mesh.uuid] = meshResults;
+        
+        for (let i = 0; i < meshFaceCount; i++, modelFaceIndex++) {
+            // index is the face's position in faceData, meshFace its index within the mesh
+            const face = {
+                index: modelFaceIndex, mesh: mesh.uuid, meshFace: i,
+                splashback: 0, hits: 0, reboundHits: 0, impactSpeed: 0, weber: 0, vertices: []
+            };
             
             // Get the three vertices of this face
             for (let j = 0; j < 3; j++) {
                 const vertexIndex = indices ? indices[i * 3 + j] : i * 3 + j;
                 
-                // Get position
-                const x = positionAttribute.getX(vertexIndex);
-                const y = positionAttribute.getY(vertexIndex);
-                const z = positionAttribute.getZ(vertexIndex);
-                
-                // Get normal
-                const nx = normalAttribute.getX(vertexIndex);
-                const ny = normalAttribute.getY(vertexIndex);
-                const nz = normalAttribute.getZ(vertexIndex);
-                
-                vertexPositions.push(new THREE.Vector3(x, y, z).applyMatrix4(mesh.matrixWorld));
-                normalVectors.push(new THREE.Vector3(nx, ny, nz).transformDirection(mesh.matrixWorld));
-                
-                face.vertices.push({ x, y, z });
-                vertexIndices.push(vertexIndex);
+                face.vertices.push({
+                    x: positions[vertexIndex * 3],
+                    y: positions[vertexIndex * 3 + 1],
+                    z: positions[vertexIndex * 3 + 2]
+                });
             }
             
-            // Calculate face centroid
-            const centroid = new THREE.Vector3().add(vertexPositions[0]).add(vertexPositions[1]).add(vertexPositions[2]).divideScalar(3);
-            
-            // Get average face normal
-            const faceNormal = new THREE.Vector3().add(normalVectors[0]).add(normalVectors[1]).add(normalVectors[2]).normalize();
-            
-            // Calculate splashback for this face by simulating multiple trajectories
-            let faceSplashback = calculateFaceSplashback(sourcePoint, centroid, faceNormal, initialVelocity);
+            // Average splashback of the trajectories that reached this face
+            const splashbackWeight = stats.splashbackWeights[modelFaceIndex];
+            const faceSplashback = splashbackWeight > 0 ? stats.splashbackTotals[modelFaceIndex] / splashbackWeight : 0;
+            const hitWeight = stats.hitWeights[modelFaceIndex];
             
             // Store results
             face.splashback = faceSplashback;
+            face.hits = stats.hitCounts[modelFaceIndex];
+            face.reboundHits = stats.reboundHits[modelFaceIndex];
+            if (hitWeight > 0) {
+                face.impactSpeed = stats.speedTotals[modelFaceIndex] / hitWeight;
+                face.weber = stats.weberTotals[modelFaceIndex] / hitWeight;
+            }
             results.faceData.push(face);
             
             // Update stats
@@ -90,188 +671,641 @@ function simulateSplashback(model, sourcePoint, forceValue) {
             if (faceSplashback > results.maxSplashback) results.maxSplashback = faceSplashback;
             totalSplashback += faceSplashback;
             faceCount++;
-            
-            // Add this splashback value to each vertex of the face for interpolation
-            for (let j = 0; j < 3; j++) {
-                const vertexIndex = vertexIndices[j];
-                if (!results.vertexData.has(vertexIndex)) {
-                    results.vertexData.set(vertexIndex, {
-                        splashbackTotal: 0,
-                        faceCount: 0
-                    });
-                }
-                
-                const vertexInfo = results.vertexData.get(vertexIndex);
-                vertexInfo.splashbackTotal += faceSplashback;
-                vertexInfo.faceCount++;
-            }
         }
     }
     
     // Calculate average
     results.averageSplashback = faceCount > 0 ? totalSplashback / faceCount : 0;
-    
-    // Calculate per-vertex average splashback values for interpolation
-    calculateVertexColors(results);
-    
-    return results;
 }
 
-// Calculate per-vertex colors for smooth gradient interpolation
-function calculateVertexColors(results) {
-    // Calculate average splashback value per vertex
-    for (const [vertexIndex, vertexInfo] of results.vertexData.entries()) {
-        vertexInfo.averageSplashback = vertexInfo.faceCount > 0 
-            ? vertexInfo.splashbackTotal / vertexInfo.faceCount
-            : 0;
+
+// Exit velocity (m/s) of a stream with the given flow rate (mL/s) and diameter (mm)
+function exitVelocityFromFlowRate(flowRate, streamDiameter) {
+    const area = Math.PI * Math.pow(streamDiameter / 1000 / 2, 2);  // m²
+    return flowRate / 1e6 / area;
+}
+
+// Merge parameters over the defaults and check every value, throwing an Error
+// that lists all problems found
+function validateParameters(parameters = {}) {
+    const params = { ...DEFAULT_PARAMETERS, ...parameters };
+    const problems = [];
+    
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    
+    if (!isNumber(params.gravity) || params.gravity < 0) {
+        problems.push('gravity must be a number of at least 0');
+    }
+    if (!Number.isInteger(params.angularResolution) || params.angularResolution < 1 || params.angularResolution > 360) {
+        problems.push('angularResolution must be a whole number from 1 to 360');
+    }
+    if (!Number.isInteger(params.spreadRings) || params.spreadRings < 1 || params.spreadRings > 100) {
+        problems.push('spreadRings must be a whole number from 1 to 100');
+    }
+    
+    const aim = params.aimDirection;
+    if (!aim || !isNumber(aim.x) || !isNumber(aim.y) || !isNumber(aim.z) || !normalizeVector(aim)) {
+        problems.push('aimDirection must be a non-zero vector');
+    }
+    if (!isNumber(params.spreadAngle) || params.spreadAngle < 0 || params.spreadAngle > 90) {
+        problems.push('spreadAngle must be between 0 and 90 degrees');
+    }
+    if (!JITTER_MODES.includes(params.jitter)) {
+        problems.push(`jitter must be one of: ${JITTER_MODES.join(', ')}`);
+    }
+    if (!Sampling.SAMPLERS.includes(params.sampler)) {
+        problems.push(`sampler must be one of: ${Sampling.SAMPLERS.join(', ')}`);
+    }
+    if (!Number.isInteger(params.sampleCount) || params.sampleCount < 0 || params.sampleCount > MAX_SAMPLE_COUNT) {
+        problems.push(`sampleCount must be a whole number from 0 to ${MAX_SAMPLE_COUNT}`);
+    }
+    if (!Number.isInteger(params.seed) || params.seed < 0 || params.seed > 0xFFFFFFFF) {
+        problems.push('seed must be a whole number from 0 to 4294967295');
+    }
+    
+    if (!isNumber(params.timeStep) || params.timeStep <= 0) {
+        problems.push('timeStep must be greater than 0');
+    }
+    if (!isNumber(params.maxTime) || params.maxTime <= 0) {
+        problems.push('maxTime must be greater than 0');
+    } else if (isNumber(params.timeStep) && params.timeStep > 0 && params.maxTime / params.timeStep > MAX_TRAJECTORY_STEPS) {
+        problems.push(`maxTime / timeStep must not exceed ${MAX_TRAJECTORY_STEPS} steps`);
+    }
+    if (!isNumber(params.floorHeight)) {
+        problems.push('floorHeight must be a number');
+    }
+    if (!isNumber(params.restitution) || params.restitution < 0 || params.restitution > 1) {
+        problems.push('restitution must be between 0 and 1');
+    }
+    if (!isNumber(params.reboundSpread) || params.reboundSpread < 0 || params.reboundSpread > 90) {
+        problems.push('reboundSpread must be between 0 and 90 degrees');
+    }
+    if (!Number.isInteger(params.reboundCount) || params.reboundCount < 0 || params.reboundCount > 100) {
+        problems.push('reboundCount must be a whole number from 0 to 100');
+    }
+    if (!isNumber(params.floorGridSize) || params.floorGridSize <= 0) {
+        problems.push('floorGridSize must be greater than 0');
+    }
+    if (!Number.isInteger(params.floorGridResolution) || params.floorGridResolution < 1 || params.floorGridResolution > 1000) {
+        problems.push('floorGridResolution must be a whole number from 1 to 1000');
+    }
+    if (!SPLASH_MODELS.includes(params.splashModel)) {
+        problems.push(`splashModel must be one of: ${SPLASH_MODELS.join(', ')}`);
+    }
+    if (!isNumber(params.dropletDiameter) || params.dropletDiameter <= 0) {
+        problems.push('dropletDiameter must be greater than 0');
+    }
+    if (!isNumber(params.fluidDensity) || params.fluidDensity <= 0) {
+        problems.push('fluidDensity must be greater than 0');
+    }
+    if (!isNumber(params.surfaceTension) || params.surfaceTension <= 0) {
+        problems.push('surfaceTension must be greater than 0');
+    }
+    if (!isNumber(params.weberThreshold) || params.weberThreshold < 0) {
+        problems.push('weberThreshold must be a number of at least 0');
+    }
+    if (!INTEGRATORS.includes(params.integrator)) {
+        problems.push(`integrator must be one of: ${INTEGRATORS.join(', ')}`);
+    }
+    if (!isNumber(params.airDensity) || params.airDensity < 0) {
+        problems.push('airDensity must be a number of at least 0');
+    }
+    if (!isNumber(params.dragCoefficient) || params.dragCoefficient < 0) {
+        problems.push('dragCoefficient must be a number of at least 0');
+    }
+    if (!isNumber(params.jetDragCoefficient) || params.jetDragCoefficient < 0) {
+        problems.push('jetDragCoefficient must be a number of at least 0');
+    }
+    if (!isNumber(params.breakupLength) || params.breakupLength < 0) {
+        problems.push('breakupLength must be a number of at least 0');
     }
     
-    // Now create colors with inverted gradient (higher splashback = cooler color)
-    for (const [vertexIndex, vertexInfo] of results.vertexData.entries()) {
-        // Normalize the value between 0 and 1
-        let normalizedValue = 0;
-        if (results.maxSplashback > results.minSplashback) {
-            normalizedValue = (vertexInfo.averageSplashback - results.minSplashback) / 
-                             (results.maxSplashback - results.minSplashback);
+    const zone = params.userZone;
+    if (zone) {
+        const isVector = (v) => v && isNumber(v.x) && isNumber(v.y) && isNumber(v.z);
+        if (!UserZone.ZONE_SHAPES.includes(zone.shape)) {
+            problems.push(`userZone.shape must be one of: ${UserZone.ZONE_SHAPES.join(', ')}`);
         }
-        
-        // Invert the gradient (1 - normalizedValue)
-        normalizedValue = 1 - normalizedValue;
-        
-        // Calculate RGB color (example: red to blue gradient)
-        vertexInfo.color = {
-            r: normalizedValue,
-            g: 0,
-            b: 1 - normalizedValue
-        };
+        if (!isVector(zone.offset)) {
+            problems.push('userZone.offset must be a vector');
+        }
+        if (zone.shape === 'box' && !(isVector(zone.size) && zone.size.x > 0 && zone.size.y > 0 && zone.size.z > 0)) {
+            problems.push('userZone.size must have dimensions greater than 0');
+        }
+        if (zone.shape === 'capsule') {
+            if (!isNumber(zone.radius) || zone.radius <= 0) {
+                problems.push('userZone.radius must be greater than 0');
+            } else if (!isNumber(zone.height) || zone.height < zone.radius * 2) {
+                problems.push('userZone.height must be at least twice the radius');
+            }
+        }
+    }
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid simulation parameters: ${problems.join('; ')}`);
     }
+    
+    return params;
 }
 
-// Apply the interpolated vertex colors to a mesh
-function applyVertexColors(mesh, results) {
-    const geometry = mesh.geometry;
-    const positionAttribute = geometry.attributes.position;
-    const colors = new Float32Array(positionAttribute.count * 3);
+// Get the world-space triangles, face normals and BVH for a model, reusing the cached
+// build as long as no mesh geometry or transform has changed since
+function getModelTriangles(modelData) {
+    if (cachedTriangles && cachedTriangles.signature === modelData.signature) {
+        return cachedTriangles;
+    }
     
-    // For indexed geometries
-    const indices = geometry.index ? geometry.index.array : null;
+    let faceCount = 0;
+    for (const mesh of modelData.meshes) {
+        faceCount += Math.floor((mesh.indices ? mesh.indices.length : mesh.positions.length / 3) / 3);
+    }
     
-    for (let i = 0; i < positionAttribute.count; i++) {
-        const vertexIndex = indices ? indices[i] : i;
-        const vertexInfo = results.vertexData.get(vertexIndex);
+    const positions = new Float32Array(faceCount * 9);
+    const normals = new Float32Array(faceCount * 3);
+    
+    let faceIndex = 0;
+    for (const mesh of modelData.meshes) {
+        const indices = mesh.indices;
+        const meshFaceCount = Math.floor((indices ? indices.length : mesh.positions.length / 3) / 3);
+        const e = mesh.matrixWorld;
         
-        if (vertexInfo) {
-            const idx = i * 3;
-            colors[idx] = vertexInfo.color.r;
-            colors[idx + 1] = vertexInfo.color.g;
-            colors[idx + 2] = vertexInfo.color.b;
+        for (let i = 0; i < meshFaceCount; i++, faceIndex++) {
+            let nx = 0, ny = 0, nz = 0;
+            
+            for (let j = 0; j < 3; j++) {
+                const vertexIndex = indices ? indices[i * 3 + j] : i * 3 + j;
+                const x = mesh.positions[vertexIndex * 3];
+                const y = mesh.positions[vertexIndex * 3 + 1];
+                const z = mesh.positions[vertexIndex * 3 + 2];
+                
+                // Transform the vertex into world space (column-major matrix)
+                const offset = faceIndex * 9 + j * 3;
+                positions[offset] = e[0] * x + e[4] * y + e[8] * z + e[12];
+                positions[offset + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+                positions[offset + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+                
+                if (mesh.normals) {
+                    const normal = transformDirection(e,
+                        mesh.normals[vertexIndex * 3],
+                        mesh.normals[vertexIndex * 3 + 1],
+                        mesh.normals[vertexIndex * 3 + 2]
+                    );
+                    nx += normal.x;
+                    ny += normal.y;
+                    nz += normal.z;
+                }
+            }
+            
+            // Average face normal from the vertex normals, or the geometric normal without them
+            if (!mesh.normals) {
+                const o = faceIndex * 9;
+                const ax = positions[o + 3] - positions[o], ay = positions[o + 4] - positions[o + 1], az = positions[o + 5] - positions[o + 2];
+                const bx = positions[o + 6] - positions[o], by = positions[o + 7] - positions[o + 1], bz = positions[o + 8] - positions[o + 2];
+                nx = ay * bz - az * by;
+                ny = az * bx - ax * bz;
+                nz = ax * by - ay * bx;
+            }
+            
+            const length = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+            normals[faceIndex * 3] = nx / length;
+            normals[faceIndex * 3 + 1] = ny / length;
+            normals[faceIndex * 3 + 2] = nz / length;
         }
     }
     
-    // Add the color attribute to the geometry
-    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    cachedTriangles = {
+        signature: modelData.signature,
+        faceCount,
+        normals,
+        bvh: new TriangleBVH(positions)
+    };
+    return cachedTriangles;
+}
+
+// Transform a direction by a column-major 4x4 matrix and normalize it
+function transformDirection(e, x, y, z) {
+    const tx = e[0] * x + e[4] * y + e[8] * z;
+    const ty = e[1] * x + e[5] * y + e[9] * z;
+    const tz = e[2] * x + e[6] * y + e[10] * z;
+    const length = Math.sqrt(tx * tx + ty * ty + tz * tz) || 1;
+    return { x: tx / length, y: ty / length, z: tz / length };
+}
+
+// Sample launch velocities inside the stream cone around the aim direction
+function sampleLaunchVelocities(initialVelocity, params) {
+    const aim = normalizeVector(params.aimDirection);
+    const rings = params.spreadRings;
+    const resolution = params.angularResolution;
+    
+    const basis = createConeBasis(aim);
+    const spread = params.spreadAngle * Math.PI / 180;
+    const velocities = [];
     
-    // Update the material to use vertex colors
-    if (mesh.material) {
-        mesh.material.vertexColors = true;
-        mesh.material.needsUpdate = true;
+    if (getSampler(params) === 'rings') {
+        // Regular rings: the aim direction itself, then rings out to the cone edge
+        const sampleCount = 1 + rings * resolution;
+        for (let i = 0; i < sampleCount; i++) {
+            const ring = i === 0 ? 0 : Math.ceil(i / resolution);
+            const theta = spread * ring / rings;
+            const phi = i === 0 ? 0 : ((i - 1) % resolution) * Math.PI * 2 / resolution;
+            velocities.push(scaleVector(coneDirection(basis, theta, phi), initialVelocity));
+        }
+        return velocities;
     }
+    
+    // Each point of the unit square gives a direction: u how far off the aim, v which way around it
+    const sampleCount = params.sampleCount || 1 + rings * resolution;
+    const points = Sampling.samplePoints(getSampler(params), sampleCount, params.seed);
+    for (let i = 0; i < sampleCount; i++) {
+        const u = points[i * 2];
+        const v = points[i * 2 + 1];
+        let theta;
+        if (params.jitter === 'normal') {
+            // Concentrated around the aim, half-normal deviation truncated at the cone edge:
+            // u only spans the distribution inside the edge, so no draws pile up on it
+            theta = Sampling.normalQuantile(0.5 + u * NORMAL_WITHIN_TWO_SIGMA) * spread / 2;
+        } else {
+            // Uniform over the solid angle of the cone
+            theta = Math.acos(1 - u * (1 - Math.cos(spread)));
+        }
+        velocities.push(scaleVector(coneDirection(basis, theta, v * Math.PI * 2), initialVelocity));
+    }
+    
+    return velocities;
 }
 
-// Calculate splashback factor for a specific face
-function calculateFaceSplashback(sourcePoint, facePoint, faceNormal, initialVelocity) {
-    let totalSplashback = 0;
-    let sampleCount = 0;
-    
-    // Sample multiple directions
-    for (let phi = 0; phi < Math.PI * 2; phi += Math.PI * 2 / ANGULAR_RESOLUTION) {
-        for (let theta = Math.PI / 6; theta < Math.PI / 3; theta += Math.PI / 12) {
-            // Convert spherical to Cartesian coordinates for initial velocity vector
-            const vx = initialVelocity * Math.sin(theta) * Math.cos(phi);
-            const vy = initialVelocity * Math.cos(theta);
-            const vz = initialVelocity * Math.sin(theta) * Math.sin(phi);
-            
-            const initialVelocityVector = new THREE.Vector3(vx, vy, vz);
-            
-            // Create the trajectory (parabola)
-            const trajectoryPoints = calculateTrajectory(sourcePoint, initialVelocityVector);
-            
-            // Find if this trajectory intersects with the face
-            const intersection = findIntersection(trajectoryPoints, facePoint, faceNormal);
+// Sampler a run uses: jitter on the regular rings draws pseudo-random directions instead
+function getSampler(params) {
+    return params.sampler === 'rings' && params.jitter !== 'none' ? 'random' : params.sampler;
+}
+
+// Launch direction as angles from the aim: how far off it (degrees) and which way
+// around it (degrees, 0 to the right and 90 up as seen looking along the aim)
+function describeLaunch(velocity, basis) {
+    const direction = normalizeVector(velocity);
+    const along = direction.x * basis.axis.x + direction.y * basis.axis.y + direction.z * basis.axis.z;
+    const side = direction.x * basis.u.x + direction.y * basis.u.y + direction.z * basis.u.z;
+    const up = direction.x * basis.w.x + direction.y * basis.w.y + direction.z * basis.w.z;
+    
+    const offAim = Math.acos(Math.max(-1, Math.min(1, along))) * 180 / Math.PI;
+    // The basis's u axis points left of the aim, so right is -u
+    const around = (Math.atan2(up, -side) * 180 / Math.PI + 360) % 360;
+    return { direction, offAim, around };
+}
+
+// Orthonormal basis around a cone axis
+function createConeBasis(axis) {
+    const helper = Math.abs(axis.y) < 0.99 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+    const u = normalizeVector(crossVectors(helper, axis));
+    const w = crossVectors(axis, u);
+    return { axis, u, w };
+}
+
+// Direction at angle theta from the cone axis and phi around it
+function coneDirection(basis, theta, phi) {
+    const { axis, u, w } = basis;
+    const radial = Math.sin(theta);
+    const axial = Math.cos(theta);
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    
+    return {
+        x: axis.x * axial + (u.x * cosPhi + w.x * sinPhi) * radial,
+        y: axis.y * axial + (u.y * cosPhi + w.y * sinPhi) * radial,
+        z: axis.z * axial + (u.z * cosPhi + w.z * sinPhi) * radial
+    };
+}
+
+// Spawn secondary droplets from an impact, bouncing around the reflected direction,
+// and trace them through the model and down to the floor, stopping any that reach the user zone
+// Each carries an equal share of the splashed-back fraction of the droplet
+function traceRebounds(hit, splashbackFactor, triangles, params, floorGrid, userZone, onPath = null) {
+    const rebounds = { count: 0, modelHits: [], userHits: [] };
+    if (params.reboundCount === 0 || params.restitution === 0 || splashbackFactor === 0) {
+        return rebounds;
+    }
+    
+    // Face normal on the side the droplet arrived from
+    const velocity = hit.velocity;
+    let normal = hit.normal;
+    if (dotVectors(velocity, normal) > 0) {
+        normal = scaleVector(normal, -1);
+    }
+    
+    // Mirror the impact velocity about the surface and scale by the restitution
+    const reflected = addScaledVector(velocity, normal, -2 * dotVectors(velocity, normal));
+    const axis = normalizeVector(reflected);
+    if (!axis) return rebounds;
+    
+    const speed = Math.sqrt(dotVectors(velocity, velocity)) * params.restitution;
+    const spread = params.reboundSpread * Math.PI / 180;
+    const basis = createConeBasis(axis);
+    const start = addScaledVector(hit.point, normal, REBOUND_OFFSET);
+    const weight = splashbackFactor / params.reboundCount;
+    
+    for (let i = 0; i < params.reboundCount; i++) {
+        // Sunflower spiral over the cone's cap
+        const theta = spread * Math.sqrt((i + 0.5) / params.reboundCount);
+        let direction = coneDirection(basis, theta, i * GOLDEN_ANGLE);
+        
+        // Keep every droplet leaving the surface rather than going into it
+        const intoSurface = dotVectors(direction, normal);
+        if (intoSurface < 0) {
+            direction = addScaledVector(direction, normal, -2 * intoSurface);
+        }
+        
+        // Rebounds are free droplets from the start
+        const trajectoryPoints = calculateTrajectory(start, scaleVector(direction, speed), params, 0);
+        const reboundHit = findFirstIntersection(trajectoryPoints, triangles);
+        rebounds.count++;
+        
+        // Did the droplet reach the user before landing anywhere else?
+        if (userZone) {
+            const lastSegment = reboundHit ? reboundHit.segmentIndex : trajectoryPoints.length - 1;
+            const entry = UserZone.findZoneEntry(trajectoryPoints, userZone, lastSegment);
             
-            if (intersection) {
-                // Calculate incident angle between trajectory and face
-                const incidentAngle = intersection.incidentAngle;
-                
-                // Calculate splashback factor (higher angle = more splashback)
-                // Formula: splashback ~ sin(incidentAngle)²
-                const splashbackFactor = Math.sin(incidentAngle) * Math.sin(incidentAngle);
-                
-                totalSplashback += splashbackFactor;
-                sampleCount++;
+            if (entry && (!reboundHit || entry.segmentIndex < reboundHit.segmentIndex || entry.t <= reboundHit.segmentT)) {
+                const p1 = trajectoryPoints[entry.segmentIndex - 1];
+                const p2 = trajectoryPoints[entry.segmentIndex];
+                const vx = p1.vx + (p2.vx - p1.vx) * entry.t;
+                const vy = p1.vy + (p2.vy - p1.vy) * entry.t;
+                const vz = p1.vz + (p2.vz - p1.vz) * entry.t;
+                rebounds.userHits.push({ weight, speed: Math.sqrt(vx * vx + vy * vy + vz * vz) });
+                if (onPath) onPath(trajectoryPoints, entry);
+                continue;
             }
         }
+        
+        if (onPath) onPath(trajectoryPoints, reboundHit && { segmentIndex: reboundHit.segmentIndex, t: reboundHit.segmentT });
+        
+        if (reboundHit) {
+            reboundHit.weight = weight;
+            rebounds.modelHits.push(reboundHit);
+        } else {
+            recordFloorLanding(trajectoryPoints, weight, floorGrid, params);
+        }
+    }
+    
+    return rebounds;
+}
+
+// Recorded trajectories, flattened as the results' paths are
+function createPathRecorder() {
+    return { points: [], offsets: [0], startTimes: [], endTimes: [] };
+}
+
+// Append a trajectory's points as x, y, z, ending part way along segment end.segmentIndex
+// when it stopped there (on the model or the user) and at its last point otherwise
+function recordPath(recorder, trajectoryPoints, end, startTime, timeStep) {
+    const count = end ? end.segmentIndex : trajectoryPoints.length;
+    for (let i = 0; i < count; i++) {
+        const point = trajectoryPoints[i];
+        recorder.points.push(point.x, point.y, point.z);
+    }
+    if (end) {
+        const p1 = trajectoryPoints[end.segmentIndex - 1];
+        const p2 = trajectoryPoints[end.segmentIndex];
+        recorder.points.push(
+            p1.x + (p2.x - p1.x) * end.t,
+            p1.y + (p2.y - p1.y) * end.t,
+            p1.z + (p2.z - p1.z) * end.t
+        );
+    }
+    
+    const steps = end ? end.segmentIndex - 1 + end.t : trajectoryPoints.length - 1;
+    recorder.offsets.push(recorder.points.length / 3);
+    recorder.startTimes.push(startTime);
+    recorder.endTimes.push(startTime + steps * timeStep);
+}
+
+// Empty floor contamination grid, cells hold the droplet volume (in primary droplets) landing there
+function createFloorGrid(params) {
+    const resolution = params.floorGridResolution;
+    return {
+        size: params.floorGridSize,
+        resolution,
+        height: params.floorHeight,
+        cells: new Float32Array(resolution * resolution),
+        total: 0,
+        outsideGrid: 0,
+        maxCell: 0
+    };
+}
+
+// Add a droplet to the floor grid where its trajectory crosses the floor height
+function recordFloorLanding(trajectoryPoints, weight, floorGrid, params) {
+    const count = trajectoryPoints.length;
+    if (count < 2 || weight === 0) return;
+    
+    // Trajectories that reach the floor end with their first point below it
+    const p2 = trajectoryPoints[count - 1];
+    if (p2.y >= params.floorHeight) return;
+    
+    const p1 = trajectoryPoints[count - 2];
+    const t = p1.y === p2.y ? 0 : (p1.y - params.floorHeight) / (p1.y - p2.y);
+    const x = p1.x + (p2.x - p1.x) * t;
+    const z = p1.z + (p2.z - p1.z) * t;
+    
+    floorGrid.total += weight;
+    
+    const half = floorGrid.size / 2;
+    const ix = Math.floor((x + half) / floorGrid.size * floorGrid.resolution);
+    const iz = Math.floor((z + half) / floorGrid.size * floorGrid.resolution);
+    if (ix < 0 || iz < 0 || ix >= floorGrid.resolution || iz >= floorGrid.resolution) {
+        floorGrid.outsideGrid += weight;
+        return;
+    }
+    
+    const cell = iz * floorGrid.resolution + ix;
+    floorGrid.cells[cell] += weight;
+    if (floorGrid.cells[cell] > floorGrid.maxCell) floorGrid.maxCell = floorGrid.cells[cell];
+}
+
+function crossVectors(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function dotVectors(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function scaleVector(v, scale) {
+    return { x: v.x * scale, y: v.y * scale, z: v.z * scale };
+}
+
+// a + b * scale
+function addScaledVector(a, b, scale) {
+    return { x: a.x + b.x * scale, y: a.y + b.y * scale, z: a.z + b.z * scale };
+}
+
+// Returns the unit vector, or null for a zero-length vector
+function normalizeVector(v) {
+    const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    return length > 0 ? { x: v.x / length, y: v.y / length, z: v.z / length } : null;
+}
+
+// Calculate the splash intensity (0-1) of an impact with the selected splash model
+// Also returns the impact speed and the Weber number of the normal impact component
+function calculateSplash(hit, params) {
+    const v = hit.velocity;
+    const impactSpeed = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    
+    // Weber number from the velocity component normal to the surface: We = ρ v² d / σ
+    const normalSpeed = impactSpeed * Math.cos(hit.incidentAngle);
+    const weber = params.fluidDensity * normalSpeed * normalSpeed * params.dropletDiameter / params.surfaceTension;
+    
+    let intensity;
+    if (params.splashModel === 'legacy') {
+        intensity = calculateSplashbackFactor(hit.incidentAngle);
+    } else {
+        // No splash below the threshold, rising towards 1 for impacts well above it
+        intensity = weber > params.weberThreshold ? 1 - Math.sqrt(params.weberThreshold / weber) : 0;
     }
     
-    // Return average splashback factor for this face
-    return sampleCount > 0 ? totalSplashback / sampleCount : 0;
+    return { intensity, impactSpeed, weber };
+}
+
+// Legacy splashback factor from the incident angle alone (higher angle = more splashback)
+function calculateSplashbackFactor(incidentAngle) {
+    // Formula: splashback ~ sin(incidentAngle)²
+    return Math.sin(incidentAngle) * Math.sin(incidentAngle);
+}
+
+// Calculate the trajectory with the selected integrator
+// coherentLength is how far the stream travels as a coherent jet before breaking into droplets
+function calculateTrajectory(startPoint, initialVelocity, params, coherentLength = 0) {
+    if (params.integrator === 'drag') {
+        return calculateDragTrajectory(startPoint, initialVelocity, params, coherentLength);
+    }
+    return calculateVacuumTrajectory(startPoint, initialVelocity, params);
 }
 
 // Calculate the parabolic trajectory
-function calculateTrajectory(startPoint, initialVelocity) {
+function calculateVacuumTrajectory(startPoint, initialVelocity, params) {
     const points = [];
-    const timeStep = 0.01;  // seconds
-    const maxTime = 2.0;    // maximum simulation time
+    const { gravity, timeStep, maxTime, floorHeight } = params;
+    const stepCount = Math.floor(maxTime / timeStep + 1e-9);
     
-    for (let t = 0; t <= maxTime; t += timeStep) {
-        // Calculate position at time t using projectile motion equations
+    for (let step = 0; step <= stepCount; step++) {
+        const t = step * timeStep;
+        
+        // Calculate position and velocity at time t using projectile motion equations
         const x = startPoint.x + initialVelocity.x * t;
-        const y = startPoint.y + initialVelocity.y * t - 0.5 * GRAVITY * t * t;
+        const y = startPoint.y + initialVelocity.y * t - 0.5 * gravity * t * t;
         const z = startPoint.z + initialVelocity.z * t;
         
-        points.push(new THREE.Vector3(x, y, z));
+        points.push({ x, y, z, vx: initialVelocity.x, vy: initialVelocity.y - gravity * t, vz: initialVelocity.z });
         
         // Stop if the trajectory goes below floor level
-        if (y < 0) break;
+        if (y < floorHeight) break;
     }
     
     return points;
 }
 
-// Find intersection between trajectory and face
-function findIntersection(trajectoryPoints, facePoint, faceNormal) {
+// Integrate the trajectory with quadratic air drag (RK4), a = g - k|v|v
+// k = 3 ρ_air C_d / (4 ρ_fluid d) for a spherical droplet of diameter d, using the jet's
+// drag coefficient until the path length passes coherentLength and the droplet one after
+function calculateDragTrajectory(startPoint, initialVelocity, params, coherentLength) {
+    const points = [];
+    const { gravity, timeStep, maxTime, floorHeight } = params;
+    const stepCount = Math.floor(maxTime / timeStep + 1e-9);
+    const dragScale = 3 * params.airDensity / (4 * params.fluidDensity * params.dropletDiameter);
+    const jetK = dragScale * params.jetDragCoefficient;
+    const dropletK = dragScale * params.dragCoefficient;
+    
+    const acceleration = (vx, vy, vz, k) => {
+        const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+        return {
+            x: -k * speed * vx,
+            y: -gravity - k * speed * vy,
+            z: -k * speed * vz
+        };
+    };
+    
+    let x = startPoint.x, y = startPoint.y, z = startPoint.z;
+    let vx = initialVelocity.x, vy = initialVelocity.y, vz = initialVelocity.z;
+    let pathLength = 0;
+    points.push({ x, y, z, vx, vy, vz });
+    
+    for (let step = 1; step <= stepCount; step++) {
+        // Drag regime for this step: coherent jet until breakup, droplets after
+        const k = pathLength < coherentLength ? jetK : dropletK;
+        const h = timeStep;
+        
+        const a1 = acceleration(vx, vy, vz, k);
+        const v2 = { x: vx + a1.x * h / 2, y: vy + a1.y * h / 2, z: vz + a1.z * h / 2 };
+        const a2 = acceleration(v2.x, v2.y, v2.z, k);
+        const v3 = { x: vx + a2.x * h / 2, y: vy + a2.y * h / 2, z: vz + a2.z * h / 2 };
+        const a3 = acceleration(v3.x, v3.y, v3.z, k);
+        const v4 = { x: vx + a3.x * h, y: vy + a3.y * h, z: vz + a3.z * h };
+        const a4 = acceleration(v4.x, v4.y, v4.z, k);
+        
+        const dx = h / 6 * (vx + 2 * v2.x + 2 * v3.x + v4.x);
+        const dy = h / 6 * (vy + 2 * v2.y + 2 * v3.y + v4.y);
+        const dz = h / 6 * (vz + 2 * v2.z + 2 * v3.z + v4.z);
+        x += dx;
+        y += dy;
+        z += dz;
+        vx += h / 6 * (a1.x + 2 * a2.x + 2 * a3.x + a4.x);
+        vy += h / 6 * (a1.y + 2 * a2.y + 2 * a3.y + a4.y);
+        vz += h / 6 * (a1.z + 2 * a2.z + 2 * a3.z + a4.z);
+        pathLength += Math.sqrt(dx * dx + dy * dy + dz * dz);
+        
+        points.push({ x, y, z, vx, vy, vz });
+        
+        // Stop if the trajectory goes below floor level
+        if (y < floorHeight) break;
+    }
+    
+    return points;
+}
+
+// Find the first face the trajectory reaches, surfaces further along are occluded by it
+function findFirstIntersection(trajectoryPoints, triangles) {
     if (trajectoryPoints.length < 2) return null;
     
-    // Check each segment of the trajectory
+    // Check each segment of the trajectory in order against the actual triangles
     for (let i = 1; i < trajectoryPoints.length; i++) {
         const p1 = trajectoryPoints[i-1];
         const p2 = trajectoryPoints[i];
         
-        // Calculate ray direction
-        const rayDirection = new THREE.Vector3().subVectors(p2, p1).normalize();
-        
-        // Create a ray for this segment
-        const ray = new THREE.Ray(p1, rayDirection);
+        const closest = triangles.bvh.closestSegmentHit(p1, p2);
+        if (!closest) continue;
         
-        // Create a plane representing the face
-        const plane = new THREE.Plane(faceNormal, -faceNormal.dot(facePoint));
+        // Calculate ray direction
+        const dx = p2.x - p1.x;
+        const dy = p2.y - p1.y;
+        const dz = p2.z - p1.z;
+        const length = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
         
-        // Check intersection with plane
-        const intersectionPoint = new THREE.Vector3();
-        const intersectionDistance = ray.distanceToPlane(plane);
+        // Calculate incident angle
+        const n = closest.triangle * 3;
+        const normal = { x: triangles.normals[n], y: triangles.normals[n + 1], z: triangles.normals[n + 2] };
+        const cosine = Math.abs(dx * normal.x + dy * normal.y + dz * normal.z) / length;
+        const incidentAngle = Math.acos(Math.min(1, cosine));
         
-        if (intersectionDistance > 0 && intersectionDistance <= p1.distanceTo(p2)) {
-            // Calculate actual intersection point
-            ray.at(intersectionDistance, intersectionPoint);
-            
-            // Calculate incident angle
-            const incidentAngle = Math.acos(Math.abs(rayDirection.dot(faceNormal)));
-            
-            return {
-                point: intersectionPoint,
-                incidentAngle: incidentAngle
-            };
-        }
+        return {
+            faceIndex: closest.triangle,
+            segmentIndex: i,
+            segmentT: closest.t,
+            point: {
+                x: p1.x + dx * closest.t,
+                y: p1.y + dy * closest.t,
+                z: p1.z + dz * closest.t
+            },
+            normal,
+            velocity: {
+                x: p1.vx + (p2.vx - p1.vx) * closest.t,
+                y: p1.vy + (p2.vy - p1.vy) * closest.t,
+                z: p1.vz + (p2.vz - p1.vz) * closest.t
+            },
+            incidentAngle: incidentAngle
+        };
     }
     
     return null;
@@ -279,6 +1313,14 @@ function findIntersection(trajectoryPoints, facePoint, faceNormal) {
 
 // Export the functions we need to access from other modules
 export const SimulationEngine = {
+    DEFAULT_PARAMETERS,
+    validateParameters,
+    exitVelocityFromFlowRate,
+    extractModelData,
+    getTransferables,
+    validateSources,
     simulateSplashback,
-    applyVertexColors // Export the new function
+    createCombinedResults,
+    addToCombined,
+    finishCombined
 };
@@ -3,36 +3,197 @@
 // Import existing modules
 import { SimulationEngine } from './simulationEngine.js';
 import { HeatmapGenerator } from './heatmapGenerator.js';
+import { SourceOptimizer } from './sourceOptimizer.js';
 
 export class SimulationRunner {
     constructor() {
-        // Nothing to initialize
+        // The worker is created on first use and kept between runs so it can reuse its BVH
+        this.worker = null;
+        this.pendingRun = null;
     }
     
-    runSimulation(model, sourcePoint, forceValue) {
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+        }
+        return this.worker;
+    }
+    
+    isRunning() {
+        return this.pendingRun !== null;
+    }
+    
+    // Run the simulation in a worker and apply the heatmap once it finishes
+    // exitVelocity is the stream's speed leaving the source in m/s
+    // parameters overrides the engine defaults (stream aim, spread, physics constants...)
+    // Options: onProgress(percent) for progress updates, timeBudget in milliseconds (0 for none),
+    // colorSettings for the heatmap's colormap and range, and recordPaths with pathStride
+    // to keep trajectories for the overlay and playback, as SimulationEngine.simulateSplashback does
+    // sourcePoint may instead be a list of { position, exitVelocity, weight } sources, which are
+    // combined into one result as SimulationEngine.simulateSplashback does
+    runSimulation(model, sourcePoint, exitVelocity, parameters, options = {}) {
+        let source;
+        if (Array.isArray(sourcePoint)) {
+            try {
+                source = SimulationEngine.validateSources(sourcePoint);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        } else {
+            source = { x: sourcePoint.x, y: sourcePoint.y, z: sourcePoint.z };
+        }
+        
+        return this.runJob(model, parameters, {
+            job: 'simulate',
+            sourcePoint: source,
+            exitVelocity,
+            timeBudget: options.timeBudget || 0,
+            recordPaths: Boolean(options.recordPaths),
+            pathStride: options.pathStride || 1
+        }, options.onProgress).then(results => {
+            try {
+                // Apply heatmap visualization to the model
+                HeatmapGenerator.applyHeatmap(model, results, options.colorSettings);
+            } catch (error) {
+                throw this.wrapError(error);
+            }
+            return results;
+        });
+    }
+    
+    // Run every combination of a parameter sweep in the worker
+    // runs comes from ParameterSweep.buildRuns, each is { exitVelocity, sourcePoint }
+    // Resolves with one row of summary metrics per run; the model's heatmap is left alone
+    runSweep(model, runs, parameters, options = {}) {
+        return this.runJob(model, parameters, {
+            job: 'sweep',
+            runs: runs.map(run => ({
+                exitVelocity: run.exitVelocity,
+                sourcePoint: { x: run.sourcePoint.x, y: run.sourcePoint.y, z: run.sourcePoint.z }
+            }))
+        }, options.onProgress);
+    }
+    
+    // Search for the source position that minimises a metric, in the worker
+    // optimizerOptions are as for SourceOptimizer.optimizeSource (metric, searchBox, ...)
+    // Resolves with { start, best, evaluations }; the model's heatmap is left alone
+    runOptimization(model, sourcePoint, exitVelocity, parameters, optimizerOptions, options = {}) {
         try {
-            // Run the simulation using the SimulationEngine
-            const results = SimulationEngine.simulateSplashback(
-                model,
-                sourcePoint,
-                forceValue
-            );
-            
-            // Apply heatmap visualization to the model
-            HeatmapGenerator.applyHeatmap(model, results);
-            
+            SourceOptimizer.validateOptions(optimizerOptions);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        
+        return this.runJob(model, parameters, {
+            job: 'optimize',
+            sourcePoint: { x: sourcePoint.x, y: sourcePoint.y, z: sourcePoint.z },
+            exitVelocity,
+            optimizerOptions
+        }, options.onProgress);
+    }
+    
+    // Run a Monte Carlo population study in the worker and apply its mean heatmap once it finishes
+    // samples comes from PopulationStudy.drawSamples, each { sourcePoint, exitVelocity, aimDirection }
+    // Options: onProgress(percent) and colorSettings, as for runSimulation
+    runPopulation(model, samples, parameters, options = {}) {
+        return this.runJob(model, parameters, {
+            job: 'population',
+            samples
+        }, options.onProgress).then(results => {
+            try {
+                HeatmapGenerator.applyHeatmap(model, results, options.colorSettings);
+            } catch (error) {
+                throw this.wrapError(error);
+            }
             return results;
+        });
+    }
+    
+    // Send a job to the worker with the model and validated parameters
+    // Resolves with the job's results, or rejects with an AbortError if cancelled
+    runJob(model, parameters, message, onProgress) {
+        if (this.pendingRun) {
+            return Promise.reject(new Error('A simulation is already running'));
+        }
+        
+        // Catch invalid parameters before any work is sent to the worker
+        let params;
+        try {
+            params = SimulationEngine.validateParameters(parameters);
         } catch (error) {
-            console.error('SimulationRunner error:', error);
+            return Promise.reject(error);
+        }
+        
+        // Copy the geometry into plain buffers that can be transferred to the worker
+        const modelData = SimulationEngine.extractModelData(model);
+        
+        return new Promise((resolve, reject) => {
+            this.pendingRun = { reject };
+            const worker = this.getWorker();
             
-            // If the error is about assigning to a constant variable,
-            // provide a more specific error message
-            if (error instanceof TypeError && error.message.includes('Assignment to constant variable')) {
-                throw new Error('Simulation parameter conflict detected. This might be caused by a constraint violation in the physics model. Try different source position or force values.');
-            }
+            worker.onmessage = (event) => {
+                const reply = event.data;
+                
+                if (reply.type === 'progress') {
+                    if (onProgress) onProgress(reply.percent);
+                } else if (reply.type === 'complete') {
+                    this.pendingRun = null;
+                    resolve(reply.results);
+                } else if (reply.type === 'error') {
+                    this.pendingRun = null;
+                    const error = reply.name === 'TypeError' ? new TypeError(reply.message) : new Error(reply.message);
+                    reject(this.wrapError(error));
+                }
+            };
             
-            // Re-throw the original error with additional context
-            throw new Error(`Simulation failed: ${error.message}`);
+            worker.onerror = (event) => {
+                // A worker that failed to load or crashed can't be reused
+                this.pendingRun = null;
+                this.terminateWorker();
+                reject(this.wrapError(new Error(event.message || 'Simulation worker failed')));
+            };
+            
+            worker.postMessage({
+                ...message,
+                modelData,
+                parameters: {
+                    ...params,
+                    aimDirection: { x: params.aimDirection.x, y: params.aimDirection.y, z: params.aimDirection.z }
+                }
+            }, SimulationEngine.getTransferables(modelData));
+        });
+    }
+    
+    // Cancel the running simulation by terminating its worker
+    cancel() {
+        if (!this.pendingRun) return;
+        
+        const { reject } = this.pendingRun;
+        this.pendingRun = null;
+        this.terminateWorker();
+        
+        const error = new Error('Simulation cancelled');
+        error.name = 'AbortError';
+        reject(error);
+    }
+    
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    wrapError(error) {
+        console.error('SimulationRunner error:', error);
+        
+        // If the error is about assigning to a constant variable,
+        // provide a more specific error message
+        if (error instanceof TypeError && error.message.includes('Assignment to constant variable')) {
+            return new Error('Simulation parameter conflict detected. This might be caused by a constraint violation in the physics model. Try different source position or force values.');
         }
+        
+        // Wrap the original error with additional context
+        return new Error(`Simulation failed: ${error.message}`);
     }
 }
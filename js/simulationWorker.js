@@ -0,0 +1,48 @@
+// Web Worker that runs the splashback simulation off the main thread
+// Messages name a job: 'simulate' for a single run, 'sweep' for a parameter sweep,
+// 'optimize' for a source placement search and 'population' for a Monte Carlo population study
+import { SimulationEngine } from './simulationEngine.js';
+import { ParameterSweep } from './parameterSweep.js';
+import { SourceOptimizer } from './sourceOptimizer.js';
+import { PopulationStudy } from './populationStudy.js';
+
+self.onmessage = function(event) {
+    const { job = 'simulate', modelData, parameters } = event.data;
+    let lastPercent = -1;
+    
+    // Only post whole-percent changes so the main thread isn't flooded
+    const onProgress = (fraction) => {
+        const percent = Math.floor(fraction * 100);
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            self.postMessage({ type: 'progress', percent });
+        }
+    };
+    
+    try {
+        let results;
+        if (job === 'sweep') {
+            results = ParameterSweep.runSweep(modelData, event.data.runs, parameters, { onProgress });
+        } else if (job === 'optimize') {
+            const { sourcePoint, exitVelocity, optimizerOptions } = event.data;
+            results = SourceOptimizer.optimizeSource(modelData, sourcePoint, exitVelocity, parameters, {
+                ...optimizerOptions,
+                onProgress
+            });
+        } else if (job === 'population') {
+            results = PopulationStudy.runPopulation(modelData, event.data.samples, parameters, { onProgress });
+        } else {
+            const { sourcePoint, exitVelocity, timeBudget, recordPaths, pathStride } = event.data;
+            results = SimulationEngine.simulateSplashback(modelData, sourcePoint, exitVelocity, parameters, {
+                timeBudget,
+                recordPaths,
+                pathStride,
+                onProgress
+            });
+        }
+        
+        self.postMessage({ type: 'complete', results });
+    } catch (error) {
+        self.postMessage({ type: 'error', name: error.name, message: error.message });
+    }
+};
@@ -0,0 +1,127 @@
+// Finds the source position that minimises a splashback metric
+// Uses a coarse-to-fine grid search: the simulation's metrics are flat in places and jump
+// as trajectories move between faces, which a grid handles better than gradient methods
+import { SimulationEngine } from './simulationEngine.js';
+import { ResultAnalysis } from './resultAnalysis.js';
+
+// Summary metrics that can be minimised
+const OPTIMIZER_METRICS = ['averageSplashback', 'maxSplashback', 'userDroplets', 'reboundDroplets', 'floorDroplets'];
+
+const DEFAULT_OPTIONS = {
+    metric: 'averageSplashback',
+    levels: 3,          // refinement passes, each halving the searched box
+    gridPoints: 5,      // positions per axis in each pass
+    minCapture: 0.9     // share of the stream that must land on the fixture
+};
+
+// Check the options and merge them over the defaults
+// searchBox is required: { min, max } points the source may move within
+function validateOptions(options) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const problems = [];
+
+    if (!OPTIMIZER_METRICS.includes(opts.metric)) {
+        problems.push(`metric must be one of ${OPTIMIZER_METRICS.join(', ')}`);
+    }
+    if (!Number.isInteger(opts.levels) || opts.levels < 1) {
+        problems.push('levels must be a whole number of at least 1');
+    }
+    if (!Number.isInteger(opts.gridPoints) || opts.gridPoints < 2) {
+        problems.push('gridPoints must be a whole number of at least 2');
+    }
+    if (!(opts.minCapture >= 0 && opts.minCapture <= 1)) {
+        problems.push('minCapture must be between 0 and 1');
+    }
+
+    const box = opts.searchBox;
+    if (!box || !box.min || !box.max) {
+        problems.push('searchBox needs min and max points');
+    } else {
+        for (const axis of ['x', 'y', 'z']) {
+            if (!Number.isFinite(box.min[axis]) || !Number.isFinite(box.max[axis]) || box.min[axis] > box.max[axis]) {
+                problems.push(`searchBox ${axis} must run from a lower to a higher value`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid optimizer options: ${problems.join('; ')}`);
+    }
+    return opts;
+}
+
+// Search the box for the best source position
+// Returns { start, best, evaluations } where start and best are
+// { sourcePoint, value, captured, summary } for the starting and the best position
+// onProgress(fraction) is called after each simulated position
+function optimizeSource(modelData, startPoint, exitVelocity, parameters, options = {}) {
+    const opts = validateOptions(options);
+    const { onProgress } = options;
+    const totalEvaluations = 1 + opts.levels * Math.pow(opts.gridPoints, 3);
+    let evaluations = 0;
+
+    const evaluate = (sourcePoint) => {
+        const results = SimulationEngine.simulateSplashback(modelData, sourcePoint, exitVelocity, parameters);
+        const summary = ResultAnalysis.summarizeResults(results);
+        evaluations++;
+        if (onProgress) onProgress(evaluations / totalEvaluations);
+
+        // Zone metrics are missing without a user zone, count that as nothing reaching it
+        const value = summary[opts.metric] === null ? 0 : summary[opts.metric];
+        return { sourcePoint, value, captured: summary.streamCaptured, summary };
+    };
+
+    const start = evaluate({ ...startPoint });
+    let best = start;
+
+    // Each pass searches a grid over the box, then shrinks the box around the best position
+    let box = { min: { ...opts.searchBox.min }, max: { ...opts.searchBox.max } };
+    for (let level = 0; level < opts.levels; level++) {
+        const values = {};
+        const spacing = {};
+        for (const axis of ['x', 'y', 'z']) {
+            spacing[axis] = (box.max[axis] - box.min[axis]) / (opts.gridPoints - 1);
+            values[axis] = [];
+            for (let i = 0; i < opts.gridPoints; i++) {
+                values[axis].push(box.min[axis] + i * spacing[axis]);
+            }
+        }
+
+        for (const x of values.x) {
+            for (const y of values.y) {
+                for (const z of values.z) {
+                    const candidate = evaluate({ x, y, z });
+                    if (isBetter(candidate, best, opts.minCapture)) best = candidate;
+                }
+            }
+        }
+
+        // Next pass covers the grid cells either side of the best position
+        for (const axis of ['x', 'y', 'z']) {
+            box.min[axis] = Math.max(opts.searchBox.min[axis], best.sourcePoint[axis] - spacing[axis]);
+            box.max[axis] = Math.min(opts.searchBox.max[axis], best.sourcePoint[axis] + spacing[axis]);
+        }
+    }
+
+    return { start, best, evaluations };
+}
+
+// Positions that keep enough of the stream on the fixture beat those that don't,
+// otherwise aiming away from the fixture would always win. Among those that fall
+// short, more of the stream on the fixture is better
+function isBetter(candidate, current, minCapture) {
+    const candidateOk = candidate.captured >= minCapture;
+    const currentOk = current.captured >= minCapture;
+
+    if (candidateOk !== currentOk) return candidateOk;
+    if (!candidateOk) return candidate.captured > current.captured;
+    return candidate.value < current.value;
+}
+
+// Export the functions we need to access from other modules
+export const SourceOptimizer = {
+    OPTIMIZER_METRICS,
+    DEFAULT_OPTIONS,
+    validateOptions,
+    optimizeSource
+};
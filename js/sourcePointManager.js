@@ -1,5 +1,21 @@
 // Manages the source point visualization and interaction
 import * as THREE from 'three';
+import { UserZone } from './userZone.js';
+
+// Source positions are kept within this distance of the origin on each axis (metres)
+// until a model is loaded, then within a margin around the model's bounding box
+const POSITION_LIMIT = 5;
+
+// Margin around the model (metres): its largest dimension, but at least this
+const MIN_BOUNDS_MARGIN = 1.5;
+
+// Moves kept for undo
+const MAX_HISTORY = 100;
+
+const AXES = ['x', 'y', 'z'];
+
+// Size of the markers for the sources not being edited (metres)
+const MARKER_RADIUS = 0.05;
 
 export class SourcePointManager {
     constructor(scene, camera, controls) {
@@ -7,15 +23,48 @@ export class SourcePointManager {
         this.camera = camera;
         this.controls = controls;
         
-        // Source point properties - changed initial position to (0,0,0)
-        this.sourcePoint = new THREE.Vector3(0, 0, 0);
+        // Source point properties, in metres: roughly hip height, standing in front of the fixture
+        this.sourcePoint = new THREE.Vector3(0, 1.0, 0.7);
         this.sourceGroup = null;
         
+        // Every source, such as users of different heights. Each has its own position, exit velocity
+        // (m/s, null for the stream force set in the controls) and weight, its relative share of use.
+        // sourcePoint is the position of the one being edited, activeSource its index
+        this.sources = [{ position: this.sourcePoint, exitVelocity: null, weight: 1 }];
+        this.activeSource = 0;
+        this.markerGroup = null;
+        
+        // Box the source is kept within, grid step dragging snaps to (0 for none)
+        // and the moves made, as { source, position } with the position moved away from
+        this.bounds = new THREE.Box3(
+            new THREE.Vector3(-POSITION_LIMIT, -POSITION_LIMIT, -POSITION_LIMIT),
+            new THREE.Vector3(POSITION_LIMIT, POSITION_LIMIT, POSITION_LIMIT)
+        );
+        this.snapStep = 0;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.dragStart = null;
+        
+        // Stream properties: aim direction, spread half-angle in degrees and jitter mode
+        this.aimDirection = new THREE.Vector3(0, 0, -1);
+        this.spreadAngle = 10;
+        this.jitter = 'none';
+        
+        // User exposure zone, positioned relative to the source point
+        this.userZone = {
+            enabled: true,
+            ...structuredClone(UserZone.DEFAULT_USER_ZONE)
+        };
+        
         // Mouse interaction properties
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.isDragging = false;
+        this.isAiming = false;
         this.selectedArrow = null;
+        // Whether the last press landed on a marker or the gizmo, so the click it ends isn't
+        // also taken as picking the face behind
+        this.pointerConsumed = false;
         this.dragPlane = new THREE.Plane();
         this.dragOffset = new THREE.Vector3();
         
@@ -28,9 +77,56 @@ export class SourcePointManager {
         this.onMouseUp = this.onMouseUp.bind(this);
     }
     
-    // Helper function to clamp values between -5 and 5
-    clampPosition(value) {
-        return Math.max(-5, Math.min(5, value));
+    // Keep a position inside the bounds
+    clampToBounds(position) {
+        return position.clone().clamp(this.bounds.min, this.bounds.max);
+    }
+    
+    // Box the source position is clamped to, as { min, max } points
+    getPositionBounds() {
+        const { min, max } = this.bounds;
+        return {
+            min: { x: min.x, y: min.y, z: min.z },
+            max: { x: max.x, y: max.y, z: max.z }
+        };
+    }
+    
+    // Work the bounds out from the model's bounding box, or go back to the default
+    // limits without a model. Sources outside the new bounds are pulled inside them
+    setModelBounds(model) {
+        if (model) {
+            const box = new THREE.Box3().setFromObject(model);
+            const size = box.getSize(new THREE.Vector3());
+            box.expandByScalar(Math.max(MIN_BOUNDS_MARGIN, size.x, size.y, size.z));
+            this.bounds.copy(box);
+        } else {
+            this.bounds.min.setScalar(-POSITION_LIMIT);
+            this.bounds.max.setScalar(POSITION_LIMIT);
+        }
+        
+        let moved = false;
+        for (const source of this.sources) {
+            const clamped = this.clampToBounds(source.position);
+            if (!clamped.equals(source.position)) {
+                source.position.copy(clamped);
+                moved = true;
+            }
+        }
+        if (moved) {
+            this.updateSourcePoint();
+        } else {
+            this.updatePositionControls();
+        }
+    }
+    
+    setSnapStep(step) {
+        this.snapStep = step > 0 ? step : 0;
+    }
+    
+    // Round to the snapping grid, trimming the float noise the rounding leaves
+    snap(value) {
+        if (!this.snapStep) return value;
+        return Number((Math.round(value / this.snapStep) * this.snapStep).toFixed(6));
     }
     
     updateSourcePoint() {
@@ -55,20 +151,96 @@ export class SourcePointManager {
         this.createDirectionalArrow("y-arrow", new THREE.Vector3(0, 1, 0), 0x00ff00);
         this.createDirectionalArrow("z-arrow", new THREE.Vector3(0, 0, 1), 0x0000ff);
         
+        // Create the rotatable aim handle and spread cone
+        this.createAimGizmo();
+        
+        // Show the user zone next to the source
+        if (this.userZone.enabled) {
+            this.createUserZoneMesh();
+        }
+        
         // Position the source group
         this.sourceGroup.position.copy(this.sourcePoint);
         
-        // Display source position coordinates (without sliders)
-        const infoPanel = document.getElementById('stats');
-        if (infoPanel) {
-            const currentInfo = infoPanel.innerHTML;
-            const positionInfo = `<p>Source position: X: ${this.sourcePoint.x.toFixed(2)}, Y: ${this.sourcePoint.y.toFixed(2)}, Z: ${this.sourcePoint.z.toFixed(2)}</p>`;
-            
-            // Only update if not already running a simulation
-            if (!currentInfo.includes('Simulation complete')) {
-                infoPanel.innerHTML = positionInfo + (currentInfo.includes('Model loaded') ? currentInfo : '');
+        this.updateSourceMarkers();
+        this.renderSourceList();
+        this.updatePositionControls();
+    }
+    
+    // Small markers for the sources other than the one being edited
+    updateSourceMarkers() {
+        if (this.markerGroup) {
+            this.scene.remove(this.markerGroup);
+            this.markerGroup.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        }
+        
+        this.markerGroup = new THREE.Group();
+        this.markerGroup.name = "sourceMarkers";
+        this.sources.forEach((source, i) => {
+            if (i === this.activeSource) return;
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(MARKER_RADIUS, 12, 12),
+                new THREE.MeshBasicMaterial({ color: 0x008b8b })
+            );
+            marker.name = "source-marker";
+            marker.userData = { sourceIndex: i };
+            marker.position.copy(source.position);
+            this.markerGroup.add(marker);
+        });
+        this.scene.add(this.markerGroup);
+    }
+    
+    // One row per source: select it for editing, set its force and weight, or remove it
+    renderSourceList() {
+        const list = document.getElementById('source-list');
+        if (!list) return;
+        
+        const rows = this.sources.map((source, i) => `
+            <tr class="${i === this.activeSource ? 'active-source' : ''}">
+                <td><button data-source-select="${i}" ${i === this.activeSource ? 'disabled' : ''}>${i + 1}</button></td>
+                <td data-source-position="${i}">${formatPosition(source.position)}</td>
+                <td><input type="number" data-source-index="${i}" data-source-field="exitVelocity" min="0.1" step="0.1"
+                    placeholder="default" value="${source.exitVelocity === null ? '' : source.exitVelocity}"></td>
+                <td><input type="number" data-source-index="${i}" data-source-field="weight" min="0" step="0.1" value="${source.weight}"></td>
+                <td><button data-source-remove="${i}" ${this.sources.length === 1 ? 'disabled' : ''}>Remove</button></td>
+            </tr>
+        `).join('');
+        list.innerHTML = `
+            <tr><th>Source</th><th>Position (m)</th><th>Exit velocity (m/s)</th><th>Weight</th><th></th></tr>
+            ${rows}
+        `;
+    }
+    
+    // Show the position, its bounds and what can be undone in the source controls
+    updatePositionControls() {
+        for (const axis of AXES) {
+            const input = document.getElementById(`source-${axis}`);
+            if (!input) continue;
+            input.min = this.bounds.min[axis].toFixed(3);
+            input.max = this.bounds.max[axis].toFixed(3);
+            // Leave the field alone while it is being typed in
+            if (document.activeElement !== input) {
+                input.value = Number(this.sourcePoint[axis].toFixed(4));
             }
         }
+        
+        const boundsEl = document.getElementById('source-bounds');
+        if (boundsEl) {
+            const { min, max } = this.bounds;
+            boundsEl.textContent = `Range: X ${min.x.toFixed(2)} to ${max.x.toFixed(2)}, ` +
+                `Y ${min.y.toFixed(2)} to ${max.y.toFixed(2)}, Z ${min.z.toFixed(2)} to ${max.z.toFixed(2)} m`;
+        }
+        
+        const positionCell = document.querySelector(`[data-source-position="${this.activeSource}"]`);
+        if (positionCell) positionCell.textContent = formatPosition(this.sourcePoint);
+        
+        const undoButton = document.getElementById('source-undo');
+        if (undoButton) undoButton.disabled = this.undoStack.length === 0;
+        const redoButton = document.getElementById('source-redo');
+        if (redoButton) redoButton.disabled = this.redoStack.length === 0;
     }
     
     createDirectionalArrow(name, direction, color) {
@@ -107,21 +279,210 @@ export class SourcePointManager {
         return arrowGroup;
     }
     
-    setSourcePosition(x, y, z) {
-        // Clamp all position values to the -5 to 5 range
-        this.sourcePoint.set(
-            this.clampPosition(x),
-            this.clampPosition(y),
-            this.clampPosition(z)
+    createAimGizmo() {
+        const aimLength = 0.8;
+        const headLength = 0.15;
+        
+        const aimGroup = new THREE.Group();
+        aimGroup.name = "aim-gizmo";
+        
+        // Handle: a longer arrow along +Y that is rotated onto the aim direction
+        const handle = new THREE.Group();
+        handle.name = "aim-handle";
+        const lineGeometry = new THREE.CylinderGeometry(0.015, 0.015, aimLength - headLength, 8);
+        lineGeometry.translate(0, (aimLength - headLength) / 2, 0);
+        handle.add(new THREE.Mesh(lineGeometry, new THREE.MeshBasicMaterial({ color: 0xff00ff })));
+        const headGeometry = new THREE.SphereGeometry(0.06, 12, 12);
+        headGeometry.translate(0, aimLength - headLength / 2, 0);
+        handle.add(new THREE.Mesh(headGeometry, new THREE.MeshBasicMaterial({ color: 0xff00ff })));
+        aimGroup.add(handle);
+        
+        // Spread cone with its apex at the source point
+        const spread = THREE.MathUtils.degToRad(this.spreadAngle);
+        const coneRadius = Math.max(0.001, aimLength * Math.tan(Math.min(spread, THREE.MathUtils.degToRad(80))));
+        const coneGeometry = new THREE.ConeGeometry(coneRadius, aimLength, 24, 1, true);
+        coneGeometry.rotateX(Math.PI);
+        coneGeometry.translate(0, aimLength / 2, 0);
+        const cone = new THREE.Mesh(coneGeometry, new THREE.MeshBasicMaterial({
+            color: 0xff00ff,
+            transparent: true,
+            opacity: 0.15,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        cone.name = "spread-cone";
+        aimGroup.add(cone);
+        
+        aimGroup.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), this.aimDirection);
+        this.sourceGroup.add(aimGroup);
+        return aimGroup;
+    }
+    
+    createUserZoneMesh() {
+        const zone = this.userZone;
+        const geometry = zone.shape === 'capsule'
+            ? new THREE.CapsuleGeometry(zone.radius, Math.max(0, zone.height - zone.radius * 2), 8, 16)
+            : new THREE.BoxGeometry(zone.size.x, zone.size.y, zone.size.z);
+        
+        const zoneMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: 0xffa500,
+            transparent: true,
+            opacity: 0.2,
+            depthWrite: false
+        }));
+        zoneMesh.name = "user-zone";
+        zoneMesh.position.set(zone.offset.x, zone.offset.y, zone.offset.z);
+        
+        // Outline so the zone stays readable from any angle
+        const outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(geometry),
+            new THREE.LineBasicMaterial({ color: 0xffa500 })
         );
+        zoneMesh.add(outline);
+        
+        this.sourceGroup.add(zoneMesh);
+        return zoneMesh;
+    }
+    
+    // Update the user zone with any of: enabled, shape, offset, size, radius, height
+    setUserZone(changes) {
+        this.userZone = { ...this.userZone, ...changes };
         this.updateSourcePoint();
     }
     
+    // User zone in the form the simulation engine expects, or null when disabled
+    getUserZone() {
+        if (!this.userZone.enabled) return null;
+        
+        const { enabled, ...zone } = this.userZone;
+        return structuredClone(zone);
+    }
+    
+    setAimDirection(direction) {
+        if (direction.lengthSq() === 0) return;
+        this.aimDirection.copy(direction).normalize();
+        
+        const aimGroup = this.sourceGroup && this.sourceGroup.getObjectByName("aim-gizmo");
+        if (aimGroup) {
+            aimGroup.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), this.aimDirection);
+        }
+    }
+    
+    setSpreadAngle(degrees) {
+        this.spreadAngle = Math.max(0, Math.min(90, degrees));
+        this.updateSourcePoint();
+    }
+    
+    setJitter(jitter) {
+        this.jitter = jitter;
+    }
+    
+    // Stream settings in the form the simulation engine expects
+    getStream() {
+        return {
+            aimDirection: this.aimDirection.clone(),
+            spreadAngle: this.spreadAngle,
+            jitter: this.jitter
+        };
+    }
+    
+    // Move the source, within the bounds, as a move that can be undone
+    setSourcePosition(x, y, z) {
+        const target = this.clampToBounds(new THREE.Vector3(x, y, z));
+        if (target.equals(this.sourcePoint)) {
+            // Still put a clamped or rejected value back in the inputs
+            this.updatePositionControls();
+            return;
+        }
+        
+        this.pushHistory(this.sourcePoint.clone());
+        this.sourcePoint.copy(target);
+        this.updateSourcePoint();
+    }
+    
+    // Remember the position the edited source moved away from, a new move drops anything undone
+    pushHistory(position) {
+        this.undoStack.push({ source: this.sources[this.activeSource], position });
+        if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+        this.redoStack = [];
+    }
+    
+    // Go back to the position before the last move, selecting the source that moved
+    // Returns false when there is nothing to undo
+    undo() {
+        return this.stepHistory(this.undoStack, this.redoStack);
+    }
+    
+    redo() {
+        return this.stepHistory(this.redoStack, this.undoStack);
+    }
+    
+    // Apply the latest move from one stack, recording its reverse on the other
+    // Moves of sources that have since been removed are dropped
+    stepHistory(from, to) {
+        let entry = from.pop();
+        while (entry && !this.sources.includes(entry.source)) entry = from.pop();
+        if (!entry) {
+            this.updatePositionControls();
+            return false;
+        }
+        
+        to.push({ source: entry.source, position: entry.source.position.clone() });
+        entry.source.position.copy(this.clampToBounds(entry.position));
+        this.selectSource(this.sources.indexOf(entry.source));
+        return true;
+    }
+    
+    // Make a source the one the gizmo, position inputs and undo act on
+    selectSource(index) {
+        if (!this.sources[index]) return;
+        this.activeSource = index;
+        this.sourcePoint = this.sources[index].position;
+        this.updateSourcePoint();
+    }
+    
+    // Add a source next to the one being edited, with the same force and weight, and select it
+    addSource() {
+        const active = this.sources[this.activeSource];
+        const position = this.clampToBounds(active.position.clone().add(new THREE.Vector3(0.2, 0, 0)));
+        this.sources.push({ position, exitVelocity: active.exitVelocity, weight: active.weight });
+        this.selectSource(this.sources.length - 1);
+    }
+    
+    // Remove a source, there is always at least one
+    removeSource(index) {
+        if (this.sources.length === 1 || !this.sources[index]) return;
+        this.sources.splice(index, 1);
+        const active = index < this.activeSource ? this.activeSource - 1 : this.activeSource;
+        this.selectSource(Math.min(active, this.sources.length - 1));
+    }
+    
+    // Exit velocity in m/s, or null to use the stream force set in the controls
+    setSourceExitVelocity(index, exitVelocity) {
+        if (this.sources[index]) this.sources[index].exitVelocity = exitVelocity;
+    }
+    
+    setSourceWeight(index, weight) {
+        if (this.sources[index]) this.sources[index].weight = weight;
+    }
+    
+    // Every source in the form the simulation engine expects,
+    // sources without their own force taking defaultExitVelocity
+    getSources(defaultExitVelocity) {
+        return this.sources.map(source => ({
+            position: source.position.clone(),
+            exitVelocity: source.exitVelocity === null ? defaultExitVelocity : source.exitVelocity,
+            weight: source.weight
+        }));
+    }
+    
     getSourcePoint() {
         return this.sourcePoint.clone();
     }
     
     onMouseDown(event) {
+        this.pointerConsumed = false;
+        
         // Skip if simulation is running
         if (document.getElementById('loading-overlay').style.display === 'flex') return;
         
@@ -141,8 +502,30 @@ export class SourcePointManager {
             this.sourceGroup.getObjectByName("z-arrow")
         ].filter(arrow => arrow !== undefined);
         
+        const aimHandle = this.sourceGroup.getObjectByName("aim-handle");
+        if (aimHandle) arrows.push(aimHandle);
+        
         const intersects = this.raycaster.intersectObjects(arrows, true);
         
+        // Clicking another source's marker switches to editing it
+        if (intersects.length === 0 && this.markerGroup) {
+            const markerHits = this.raycaster.intersectObjects(this.markerGroup.children, false);
+            if (markerHits.length > 0) {
+                this.pointerConsumed = true;
+                this.selectSource(markerHits[0].object.userData.sourceIndex);
+                return;
+            }
+        }
+        
+        if (intersects.length > 0) this.pointerConsumed = true;
+        
+        // Start rotating the aim when its handle is grabbed
+        if (intersects.length > 0 && this.isAimHandle(intersects[0].object)) {
+            this.controls.enabled = false;
+            this.isAiming = true;
+            return;
+        }
+        
         if (intersects.length > 0) {
             // Find the parent arrow group
             let arrowParent = intersects[0].object;
@@ -157,6 +540,7 @@ export class SourcePointManager {
                 // Set up drag operation
                 this.selectedArrow = arrowParent;
                 this.isDragging = true;
+                this.dragStart = this.sourcePoint.clone();
                 
                 // Create drag plane perpendicular to camera direction
                 const normal = new THREE.Vector3().subVectors(
@@ -177,8 +561,15 @@ export class SourcePointManager {
         }
     }
     
+    isAimHandle(object) {
+        for (let current = object; current; current = current.parent) {
+            if (current.name === "aim-handle") return true;
+        }
+        return false;
+    }
+    
     onMouseMove(event) {
-        if (!this.isDragging || !this.selectedArrow) return;
+        if (!this.isAiming && (!this.isDragging || !this.selectedArrow)) return;
         
         // Get normalized mouse coordinates
         const rect = event.target.getBoundingClientRect();
@@ -188,6 +579,11 @@ export class SourcePointManager {
         // Update raycaster
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
+        if (this.isAiming) {
+            this.updateAimFromRay(this.raycaster.ray);
+            return;
+        }
+        
         // Find intersection with drag plane
         const intersection = new THREE.Vector3();
         this.raycaster.ray.intersectPlane(this.dragPlane, intersection);
@@ -204,36 +600,48 @@ export class SourcePointManager {
         );
         axisLine.closestPointToPoint(intersection, false, targetPosition);
         
-        // Clamp the position values to -5 to 5 before updating
-        targetPosition.x = this.clampPosition(targetPosition.x);
-        targetPosition.y = this.clampPosition(targetPosition.y);
-        targetPosition.z = this.clampPosition(targetPosition.z);
+        // Snap along the dragged axis only, then keep inside the bounds
+        for (const axis of AXES) {
+            if (direction[axis] !== 0) targetPosition[axis] = this.snap(targetPosition[axis]);
+        }
         
         // Update source position
-        this.sourcePoint.copy(targetPosition);
+        this.sourcePoint.copy(this.clampToBounds(targetPosition));
         this.sourceGroup.position.copy(this.sourcePoint);
-        
-        // Update UI display with current position
-        const infoPanel = document.getElementById('stats');
-        if (infoPanel) {
-            const currentInfo = infoPanel.innerHTML;
-            const positionInfo = `<p>Source position: X: ${this.sourcePoint.x.toFixed(2)}, Y: ${this.sourcePoint.y.toFixed(2)}, Z: ${this.sourcePoint.z.toFixed(2)}</p>`;
-            
-            // Only update if not already running a simulation
-            if (!currentInfo.includes('Simulation complete')) {
-                infoPanel.innerHTML = positionInfo + (currentInfo.includes('Model loaded') ? currentInfo : '');
-            }
+        this.updatePositionControls();
+    }
+    
+    // Point the aim at where the mouse ray meets a sphere around the source,
+    // or at the closest point on the ray when it misses the sphere
+    updateAimFromRay(ray) {
+        const sphere = new THREE.Sphere(this.sourcePoint, 0.8);
+        const target = new THREE.Vector3();
+        if (!ray.intersectSphere(sphere, target)) {
+            ray.closestPointToPoint(this.sourcePoint, target);
         }
+        this.setAimDirection(target.sub(this.sourcePoint));
     }
     
     onMouseUp() {
-        if (this.isDragging) {
+        // A finished drag is one move for undo
+        if (this.isDragging && this.dragStart && !this.dragStart.equals(this.sourcePoint)) {
+            this.pushHistory(this.dragStart);
+            this.updatePositionControls();
+        }
+        this.dragStart = null;
+        
+        if (this.isDragging || this.isAiming) {
             // Re-enable orbit controls
             this.controls.enabled = true;
             
             // Clear drag state
             this.isDragging = false;
+            this.isAiming = false;
             this.selectedArrow = null;
         }
     }
 }
+
+function formatPosition(position) {
+    return `${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}`;
+}
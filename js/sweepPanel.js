@@ -0,0 +1,189 @@
+// Parameter sweep controls, results table and response chart
+import { ParameterSweep } from './parameterSweep.js';
+import { ResponseChart } from './responseChart.js';
+import { HtmlText } from './htmlText.js';
+
+// Labels for the swept variables and the summary metrics shown in the table and chart
+const VARIABLE_LABELS = {
+    exitVelocity: 'Exit velocity (m/s)',
+    x: 'Source X (m)',
+    y: 'Source Y (m)',
+    z: 'Source Z (m)'
+};
+
+const METRIC_LABELS = {
+    averageSplashback: 'Average splashback',
+    maxSplashback: 'Worst splashback',
+    minSplashback: 'Best splashback',
+    hitCoverage: 'Hit coverage',
+    reboundDroplets: 'Rebound droplets',
+    floorDroplets: 'Floor droplets',
+    userDroplets: 'Droplets on user'
+};
+
+export class SweepPanel {
+    constructor(uiController) {
+        this.ui = uiController;
+
+        // Ranges for each swept variable, a step of 0 keeps the value fixed
+        this.sweep = {
+            exitVelocity: { from: 1.5, to: 3.5, step: 0.5 },
+            x: { from: 0, to: 0, step: 0 },
+            y: { from: 0.8, to: 1.2, step: 0.1 },
+            z: { from: 0.7, to: 0.7, step: 0 }
+        };
+        this.rows = [];
+    }
+
+    setupEventListeners() {
+        // Range inputs name their field as "exitVelocity.from"
+        document.querySelectorAll('[data-sweep]').forEach((input) => {
+            const [variable, field] = input.dataset.sweep.split('.');
+            input.value = this.sweep[variable][field];
+            input.addEventListener('input', () => {
+                this.sweep[variable][field] = parseFloat(input.value);
+                this.updateRunCount();
+            });
+        });
+        this.updateRunCount();
+
+        const runButton = document.getElementById('run-sweep');
+        if (runButton) {
+            runButton.addEventListener('click', () => this.runSweep());
+        } else {
+            console.warn('Element not found: run-sweep');
+        }
+
+        // Chart axes and metric
+        this.fillSelect('sweep-chart-x', VARIABLE_LABELS, 'exitVelocity');
+        this.fillSelect('sweep-chart-y', VARIABLE_LABELS, 'y');
+        this.fillSelect('sweep-chart-metric', METRIC_LABELS, 'averageSplashback');
+        for (const id of ['sweep-chart-x', 'sweep-chart-y', 'sweep-chart-metric']) {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.drawChart());
+        }
+
+        const downloadButton = document.getElementById('sweep-download');
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => {
+                this.ui.downloadFile(this.formatCsv(), 'splashback-sweep.csv', 'text/csv');
+            });
+        } else {
+            console.warn('Element not found: sweep-download');
+        }
+    }
+
+    fillSelect(id, labels, selected) {
+        const select = document.getElementById(id);
+        if (!select) {
+            console.warn(`Element not found: ${id}`);
+            return;
+        }
+        select.innerHTML = Object.entries(labels)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    // Show how many runs the current ranges make, or what is wrong with them
+    updateRunCount() {
+        const countEl = document.getElementById('sweep-count');
+        const errorEl = document.getElementById('sweep-error');
+        try {
+            const runs = this.buildRuns();
+            if (countEl) countEl.textContent = `${runs.length} runs`;
+            if (errorEl) errorEl.textContent = '';
+        } catch (error) {
+            if (countEl) countEl.textContent = '';
+            if (errorEl) errorEl.textContent = error.message;
+        }
+    }
+
+    buildRuns() {
+        return ParameterSweep.buildRuns(this.sweep, this.ui.sourcePointManager.getPositionBounds());
+    }
+
+    runSweep() {
+        const currentModel = this.ui.sceneManager.getCurrentModel();
+        if (!currentModel) {
+            alert('Please upload a model first');
+            return;
+        }
+
+        // Ignore clicks while a run is in progress
+        if (this.ui.simulationRunner.isRunning()) return;
+
+        let runs;
+        try {
+            runs = this.buildRuns();
+        } catch (error) {
+            document.getElementById('sweep-error').textContent = error.message;
+            return;
+        }
+
+        this.ui.showLoading(true, true);
+
+        this.ui.simulationRunner.runSweep(currentModel, runs, this.ui.getSimulationParameters(), {
+            onProgress: (percent) => this.ui.updateProgress(percent)
+        })
+            .then(rows => {
+                this.rows = rows;
+                document.getElementById('sweep-results').hidden = false;
+                this.renderTable();
+                this.drawChart();
+                document.getElementById('stats').innerHTML = `<p>Parameter sweep complete: ${rows.length} runs.</p>`;
+                this.ui.showLoading(false);
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    document.getElementById('stats').innerHTML = '<p>Parameter sweep cancelled.</p>';
+                } else {
+                    console.error('Sweep error:', error);
+                    document.getElementById('stats').innerHTML = `<p class="error">Parameter sweep failed: ${HtmlText.escapeHtml(error.message)}</p>`;
+                }
+                this.ui.showLoading(false);
+            });
+    }
+
+    // One row per run: the swept values followed by the summary metrics
+    renderTable() {
+        const columns = [...ParameterSweep.SWEEP_VARIABLES, ...Object.keys(METRIC_LABELS)];
+        const labels = { ...VARIABLE_LABELS, ...METRIC_LABELS };
+
+        const header = columns.map(column => `<th>${labels[column]}</th>`).join('');
+        const body = this.rows.map(row =>
+            `<tr>${columns.map(column => `<td>${formatValue(row[column])}</td>`).join('')}</tr>`
+        ).join('');
+
+        document.getElementById('sweep-table').innerHTML = `<table><tr>${header}</tr>${body}</table>`;
+    }
+
+    drawChart() {
+        if (this.rows.length === 0) return;
+
+        const xVariable = document.getElementById('sweep-chart-x').value;
+        const yVariable = document.getElementById('sweep-chart-y').value;
+        const metric = document.getElementById('sweep-chart-metric').value;
+
+        const grid = ParameterSweep.buildResponseGrid(this.rows, xVariable, yVariable, metric);
+        ResponseChart.drawResponseChart(document.getElementById('sweep-chart'), grid, {
+            x: VARIABLE_LABELS[xVariable],
+            y: VARIABLE_LABELS[yVariable],
+            metric: METRIC_LABELS[metric]
+        }, this.ui.colorSettings);
+    }
+
+    formatCsv() {
+        const columns = [...ParameterSweep.SWEEP_VARIABLES, ...Object.keys(METRIC_LABELS)];
+        const lines = [columns.join(',')];
+        for (const row of this.rows) {
+            lines.push(columns.map(column => row[column] === null ? '' : row[column]).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+function formatValue(value) {
+    if (value === null) return '-';
+    return Number.isInteger(value) ? String(value) : value.toFixed(4);
+}
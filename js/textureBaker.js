@@ -0,0 +1,348 @@
+// Bakes per-face values into a texture: builds a non-overlapping UV atlas for models
+// without one, and rasterises interpolated values into it with padding at the seams
+// Works on plain position, index and UV arrays, which the heatmap generator copies out of the meshes
+const DEFAULT_BAKE_OPTIONS = {
+    resolution: 1024,   // texture width and height in texels
+    padding: 4          // texels filled around each chart so filtering doesn't pick up the background
+};
+
+// Build a UV atlas for a set of non-indexed meshes
+// meshes is a list of { positions } in a shared space (e.g. world), three vertices per face
+// Faces are grouped into charts of connected faces facing the same axis direction,
+// each chart is projected flat along that axis and the charts are packed into the
+// unit square without overlapping. Returns a Float32Array of UVs for each mesh
+function buildAtlas(meshes, options = {}) {
+    const { resolution, padding } = { ...DEFAULT_BAKE_OPTIONS, ...options };
+    const faces = collectFaces(meshes);
+    const charts = buildCharts(faces, meshes);
+
+    const scale = findPackingScale(charts, resolution, padding);
+    if (!packCharts(charts, scale, resolution, padding)) {
+        throw new Error(`The model has too many separate surfaces to fit a ${resolution} texel texture atlas`);
+    }
+
+    // Each face's vertices are placed by its chart's projection and position in the atlas
+    const atlas = meshes.map(mesh => new Float32Array(mesh.positions.length / 3 * 2));
+    for (const chart of charts) {
+        const [a, b] = chart.plane;
+        for (const face of chart.faces) {
+            const positions = meshes[face.mesh].positions;
+            const uvs = atlas[face.mesh];
+            for (let j = 0; j < 3; j++) {
+                const vertex = face.first + j;
+                const u = chart.x + (positions[vertex * 3 + a] - chart.min[0]) * scale;
+                const v = chart.y + (positions[vertex * 3 + b] - chart.min[1]) * scale;
+                uvs[vertex * 2] = u / resolution;
+                uvs[vertex * 2 + 1] = 1 - v / resolution;
+            }
+        }
+    }
+    return atlas;
+}
+
+// One entry per face with its mesh, first vertex and the axis direction it faces most
+function collectFaces(meshes) {
+    const faces = [];
+    meshes.forEach((mesh, meshIndex) => {
+        const p = mesh.positions;
+        for (let first = 0; first + 2 < p.length / 3; first += 3) {
+            const i = first * 3;
+            const e1 = [p[i + 3] - p[i], p[i + 4] - p[i + 1], p[i + 5] - p[i + 2]];
+            const e2 = [p[i + 6] - p[i], p[i + 7] - p[i + 1], p[i + 8] - p[i + 2]];
+            const normal = [
+                e1[1] * e2[2] - e1[2] * e2[1],
+                e1[2] * e2[0] - e1[0] * e2[2],
+                e1[0] * e2[1] - e1[1] * e2[0]
+            ];
+
+            let axis = 0;
+            for (let k = 1; k < 3; k++) {
+                if (Math.abs(normal[k]) > Math.abs(normal[axis])) axis = k;
+            }
+            faces.push({ mesh: meshIndex, first, direction: axis * 2 + (normal[axis] < 0 ? 1 : 0) });
+        }
+    });
+    return faces;
+}
+
+// Group faces of the same mesh that share an edge and face the same axis direction
+// Charts never span meshes, so coincident copies of a surface don't end up on top of each other
+function buildCharts(faces, meshes) {
+    const weld = createWelder(meshes);
+    const parent = faces.map((face, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    // Faces meeting along an edge join the same chart when they face the same way
+    const edges = new Map();
+    faces.forEach((face, i) => {
+        const keys = [0, 1, 2].map(j => weld(face.mesh, face.first + j));
+        for (let j = 0; j < 3; j++) {
+            const a = keys[j];
+            const b = keys[(j + 1) % 3];
+            const edgeKey = a < b
+                ? `${face.mesh}|${a}|${b}|${face.direction}`
+                : `${face.mesh}|${b}|${a}|${face.direction}`;
+            const other = edges.get(edgeKey);
+            if (other === undefined) {
+                edges.set(edgeKey, i);
+            } else {
+                parent[find(i)] = find(other);
+            }
+        }
+    });
+
+    const chartsByRoot = new Map();
+    faces.forEach((face, i) => {
+        const root = find(i);
+        if (!chartsByRoot.has(root)) {
+            // Project along the faced axis onto the other two
+            const axis = Math.floor(face.direction / 2);
+            chartsByRoot.set(root, {
+                faces: [],
+                plane: [0, 1, 2].filter(k => k !== axis),
+                min: [Infinity, Infinity],
+                max: [-Infinity, -Infinity],
+                x: 0,
+                y: 0
+            });
+        }
+        chartsByRoot.get(root).faces.push(face);
+    });
+
+    const charts = [...chartsByRoot.values()];
+    for (const chart of charts) {
+        const [a, b] = chart.plane;
+        for (const face of chart.faces) {
+            const positions = meshes[face.mesh].positions;
+            for (let j = 0; j < 3; j++) {
+                const vertex = face.first + j;
+                chart.min[0] = Math.min(chart.min[0], positions[vertex * 3 + a]);
+                chart.min[1] = Math.min(chart.min[1], positions[vertex * 3 + b]);
+                chart.max[0] = Math.max(chart.max[0], positions[vertex * 3 + a]);
+                chart.max[1] = Math.max(chart.max[1], positions[vertex * 3 + b]);
+            }
+        }
+        chart.width = chart.max[0] - chart.min[0];
+        chart.height = chart.max[1] - chart.min[1];
+    }
+
+    // Tallest first packs shelves tightly
+    charts.sort((a, b) => b.height - a.height);
+    return charts;
+}
+
+// Texels per model unit at which the charts just fit, found by bisection
+function findPackingScale(charts, resolution, padding) {
+    let area = 0;
+    for (const chart of charts) area += chart.width * chart.height;
+
+    let low = 0;
+    let high = resolution / Math.sqrt(Math.max(area, 1e-12));
+    for (let i = 0; i < 30; i++) {
+        const scale = (low + high) / 2;
+        if (packCharts(charts, scale, resolution, padding)) {
+            low = scale;
+        } else {
+            high = scale;
+        }
+    }
+    return low;
+}
+
+// Place the charts on shelves, each with padding on every side
+// Returns false when they don't fit in the texture
+function packCharts(charts, scale, resolution, padding) {
+    let x = 0;
+    let y = 0;
+    let shelfHeight = 0;
+
+    for (const chart of charts) {
+        const width = Math.ceil(chart.width * scale) + padding * 2 + 1;
+        const height = Math.ceil(chart.height * scale) + padding * 2 + 1;
+        if (width > resolution) return false;
+
+        if (x + width > resolution) {
+            x = 0;
+            y += shelfHeight;
+            shelfHeight = 0;
+        }
+        if (y + height > resolution) return false;
+
+        chart.x = x + padding;
+        chart.y = y + padding;
+        x += width;
+        shelfHeight = Math.max(shelfHeight, height);
+    }
+    return true;
+}
+
+// Returns a function giving the same key to vertices at the same position,
+// so faces of non-indexed geometry can be joined at their shared corners
+function createWelder(meshes) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const mesh of meshes) {
+        for (const value of mesh.positions) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    }
+    const tolerance = Math.max(max - min, 1e-9) * 1e-6;
+    const keys = new Map();
+
+    return (meshIndex, vertex) => {
+        const p = meshes[meshIndex].positions;
+        const positionKey = `${Math.round(p[vertex * 3] / tolerance)},${Math.round(p[vertex * 3 + 1] / tolerance)},${Math.round(p[vertex * 3 + 2] / tolerance)}`;
+        if (!keys.has(positionKey)) keys.set(positionKey, keys.size);
+        return keys.get(positionKey);
+    };
+}
+
+// Value at each vertex of a mesh, the average over the faces meeting at its position
+// positions and indices are the mesh's own; faceValues has one value per face
+function interpolateVertexValues(positions, indices, faceValues) {
+    const weld = createWelder([{ positions }]);
+    const vertexCount = positions.length / 3;
+    const faceCount = faceValues.length;
+
+    const keys = new Int32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) keys[i] = weld(0, i);
+
+    const totals = new Float64Array(vertexCount);
+    const counts = new Uint32Array(vertexCount);
+    for (let i = 0; i < faceCount; i++) {
+        for (let j = 0; j < 3; j++) {
+            const key = keys[indices ? indices[i * 3 + j] : i * 3 + j];
+            totals[key] += faceValues[i];
+            counts[key]++;
+        }
+    }
+
+    const values = new Float32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) {
+        const key = keys[i];
+        values[i] = counts[key] > 0 ? totals[key] / counts[key] : 0;
+    }
+    return values;
+}
+
+// Rasterise interpolated values into an RGBA texture
+// meshes is a list of { uvs, indices, values } with one value per vertex,
+// colorOf(value) returns { r, g, b } from 0 to 1. Texels outside every
+// triangle stay transparent, apart from the padding grown around the charts
+function rasterize(meshes, colorOf, options = {}) {
+    const { resolution, padding } = { ...DEFAULT_BAKE_OPTIONS, ...options };
+    const pixels = new Uint8ClampedArray(resolution * resolution * 4);
+    const filled = new Uint8Array(resolution * resolution);
+
+    const setTexel = (x, y, value) => {
+        const color = colorOf(value);
+        const offset = (y * resolution + x) * 4;
+        pixels[offset] = Math.round(color.r * 255);
+        pixels[offset + 1] = Math.round(color.g * 255);
+        pixels[offset + 2] = Math.round(color.b * 255);
+        pixels[offset + 3] = 255;
+        filled[y * resolution + x] = 1;
+    };
+
+    for (const { uvs, indices, values } of meshes) {
+        const faceCount = (indices ? indices.length : uvs.length / 2) / 3;
+        for (let i = 0; i < faceCount; i++) {
+            const corners = [0, 1, 2].map(j => {
+                const vertex = indices ? indices[i * 3 + j] : i * 3 + j;
+                // v runs up from the bottom of the image
+                return { x: uvs[vertex * 2] * resolution, y: (1 - uvs[vertex * 2 + 1]) * resolution, value: values[vertex] };
+            });
+            rasterizeTriangle(corners, resolution, setTexel, filled);
+        }
+    }
+
+    dilate(pixels, filled, resolution, padding);
+    return pixels;
+}
+
+// Fill the texels whose centres lie inside a triangle, interpolating its corner values
+// Triangles too small to cover a texel centre still mark the texel they sit in
+function rasterizeTriangle([a, b, c], resolution, setTexel, filled) {
+    const area = (b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y);
+    const minX = Math.max(0, Math.floor(Math.min(a.x, b.x, c.x)));
+    const maxX = Math.min(resolution - 1, Math.ceil(Math.max(a.x, b.x, c.x)));
+    const minY = Math.max(0, Math.floor(Math.min(a.y, b.y, c.y)));
+    const maxY = Math.min(resolution - 1, Math.ceil(Math.max(a.y, b.y, c.y)));
+
+    let covered = false;
+    if (Math.abs(area) > 1e-12) {
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const wa = ((b.x - px) * (c.y - py) - (c.x - px) * (b.y - py)) / area;
+                const wb = ((c.x - px) * (a.y - py) - (a.x - px) * (c.y - py)) / area;
+                const wc = 1 - wa - wb;
+                if (wa < -1e-6 || wb < -1e-6 || wc < -1e-6) continue;
+
+                setTexel(x, y, wa * a.value + wb * b.value + wc * c.value);
+                covered = true;
+            }
+        }
+    }
+
+    if (!covered) {
+        const x = Math.min(resolution - 1, Math.max(0, Math.floor((a.x + b.x + c.x) / 3)));
+        const y = Math.min(resolution - 1, Math.max(0, Math.floor((a.y + b.y + c.y) / 3)));
+        if (!filled[y * resolution + x]) setTexel(x, y, (a.value + b.value + c.value) / 3);
+    }
+}
+
+// Grow the charts outwards one texel per pass, each new texel taking the average
+// color of its filled neighbours, so seams don't bleed background when filtered
+function dilate(pixels, filled, resolution, passes) {
+    for (let pass = 0; pass < passes; pass++) {
+        const previous = filled.slice();
+        for (let y = 0; y < resolution; y++) {
+            for (let x = 0; x < resolution; x++) {
+                const index = y * resolution + x;
+                if (previous[index]) continue;
+
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                let count = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= resolution || ny >= resolution) continue;
+                        const neighbour = ny * resolution + nx;
+                        if (!previous[neighbour]) continue;
+                        r += pixels[neighbour * 4];
+                        g += pixels[neighbour * 4 + 1];
+                        b += pixels[neighbour * 4 + 2];
+                        count++;
+                    }
+                }
+                if (count === 0) continue;
+
+                pixels[index * 4] = r / count;
+                pixels[index * 4 + 1] = g / count;
+                pixels[index * 4 + 2] = b / count;
+                pixels[index * 4 + 3] = 255;
+                filled[index] = 1;
+            }
+        }
+    }
+}
+
+// Export the functions we need to access from other modules
+export const TextureBaker = {
+    DEFAULT_BAKE_OPTIONS,
+    buildAtlas,
+    interpolateVertexValues,
+    rasterize
+};
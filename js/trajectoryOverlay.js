@@ -0,0 +1,79 @@
+// Draws a run's sampled trajectories and impact points over the model
+import * as THREE from 'three';
+import { Colormap } from './colormap.js';
+
+// Impact marker size in metres
+const MARKER_RADIUS = 0.006;
+
+export class TrajectoryOverlay {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = null;
+    }
+
+    // Draw the recorded trajectories as lines and their impacts as markers colored by their
+    // splash intensity, on the same color scale as the heatmap
+    // Returns how many trajectories and impacts were drawn
+    show(results, colorSettings = Colormap.DEFAULT_COLOR_SETTINGS) {
+        this.clear();
+        if (!results.paths) return { trajectories: 0, impacts: 0 };
+
+        this.group = new THREE.Group();
+        this.group.name = "trajectoryOverlay";
+
+        // Primary trajectories only, rebound paths are left to the playback
+        const { points, offsets, primaryCount, launches } = results.paths;
+        const segments = [];
+        for (let path = 0; path < primaryCount; path++) {
+            for (let i = offsets[path]; i + 1 < offsets[path + 1]; i++) {
+                segments.push(
+                    points[i * 3], points[i * 3 + 1], points[i * 3 + 2],
+                    points[i * 3 + 3], points[i * 3 + 4], points[i * 3 + 5]
+                );
+            }
+        }
+
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(segments, 3));
+        this.group.add(new THREE.LineSegments(lineGeometry, new THREE.LineBasicMaterial({
+            color: 0x66ccff,
+            transparent: true,
+            opacity: 0.6
+        })));
+
+        // Only the impacts of recorded launches, so the markers follow the lines
+        const recorded = new Set(launches);
+        const impacts = results.impacts.filter(impact => recorded.has(impact.launch));
+        if (impacts.length > 0) {
+            const scale = Colormap.createColorScale(colorSettings, results.minSplashback, results.maxSplashback);
+            const markers = new THREE.InstancedMesh(
+                new THREE.SphereGeometry(MARKER_RADIUS, 8, 6),
+                new THREE.MeshBasicMaterial(),
+                impacts.length
+            );
+            const matrix = new THREE.Matrix4();
+            const color = new THREE.Color();
+            impacts.forEach((impact, i) => {
+                matrix.makeTranslation(impact.point.x, impact.point.y, impact.point.z);
+                markers.setMatrixAt(i, matrix);
+                const { r, g, b } = scale.color(impact.splashback);
+                markers.setColorAt(i, color.setRGB(r, g, b));
+            });
+            this.group.add(markers);
+        }
+
+        this.scene.add(this.group);
+        return { trajectories: primaryCount, impacts: impacts.length };
+    }
+
+    clear() {
+        if (this.group) {
+            this.scene.remove(this.group);
+            this.group.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+            this.group = null;
+        }
+    }
+}
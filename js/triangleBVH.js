@@ -0,0 +1,208 @@
+// Bounding volume hierarchy over world-space triangles for fast segment hit testing
+// Works on plain typed arrays so it has no dependency on Three.js
+
+const MAX_LEAF_TRIANGLES = 4;
+const DETERMINANT_EPSILON = 1e-12;
+
+export class TriangleBVH {
+    // positions holds 9 floats per triangle (three world-space vertices)
+    constructor(positions) {
+        this.positions = positions;
+        this.triangleCount = Math.floor(positions.length / 9);
+
+        // Triangle order is rearranged during the build, the original index is kept here
+        this.triangleIndices = new Uint32Array(this.triangleCount);
+        this.centroids = new Float32Array(this.triangleCount * 3);
+        for (let i = 0; i < this.triangleCount; i++) {
+            this.triangleIndices[i] = i;
+            for (let axis = 0; axis < 3; axis++) {
+                this.centroids[i * 3 + axis] = (
+                    positions[i * 9 + axis] +
+                    positions[i * 9 + 3 + axis] +
+                    positions[i * 9 + 6 + axis]
+                ) / 3;
+            }
+        }
+
+        // Flat node storage: bounds as min/max triples, leaves have a left child of -1
+        const maxNodes = Math.max(1, this.triangleCount * 2);
+        this.nodeBounds = new Float32Array(maxNodes * 6);
+        this.nodeLeft = new Int32Array(maxNodes);
+        this.nodeRight = new Int32Array(maxNodes);
+        this.nodeStart = new Uint32Array(maxNodes);
+        this.nodeCount = new Uint32Array(maxNodes);
+        this.nodesUsed = 0;
+
+        if (this.triangleCount > 0) {
+            this.buildNode(0, this.triangleCount);
+        }
+    }
+
+    buildNode(start, end) {
+        const node = this.nodesUsed++;
+        this.computeBounds(node, start, end);
+        this.nodeLeft[node] = -1;
+        this.nodeRight[node] = -1;
+        this.nodeStart[node] = start;
+        this.nodeCount[node] = end - start;
+
+        if (end - start <= MAX_LEAF_TRIANGLES) return node;
+
+        // Split along the longest axis of the centroid bounds
+        const minC = [Infinity, Infinity, Infinity];
+        const maxC = [-Infinity, -Infinity, -Infinity];
+        for (let i = start; i < end; i++) {
+            const tri = this.triangleIndices[i];
+            for (let axis = 0; axis < 3; axis++) {
+                const c = this.centroids[tri * 3 + axis];
+                if (c < minC[axis]) minC[axis] = c;
+                if (c > maxC[axis]) maxC[axis] = c;
+            }
+        }
+
+        let axis = 0;
+        if (maxC[1] - minC[1] > maxC[axis] - minC[axis]) axis = 1;
+        if (maxC[2] - minC[2] > maxC[axis] - minC[axis]) axis = 2;
+
+        // All centroids coincide, nothing sensible to split on
+        if (maxC[axis] - minC[axis] === 0) return node;
+
+        // Partition triangles around the midpoint of the centroid bounds
+        const splitValue = (minC[axis] + maxC[axis]) / 2;
+        let i = start;
+        let j = end - 1;
+        while (i <= j) {
+            if (this.centroids[this.triangleIndices[i] * 3 + axis] < splitValue) {
+                i++;
+            } else {
+                const tmp = this.triangleIndices[i];
+                this.triangleIndices[i] = this.triangleIndices[j];
+                this.triangleIndices[j] = tmp;
+                j--;
+            }
+        }
+
+        let mid = i;
+        if (mid === start || mid === end) {
+            mid = (start + end) >> 1;
+        }
+
+        this.nodeLeft[node] = this.buildNode(start, mid);
+        this.nodeRight[node] = this.buildNode(mid, end);
+        return node;
+    }
+
+    computeBounds(node, start, end) {
+        const bounds = this.nodeBounds;
+        const offset = node * 6;
+        bounds[offset] = bounds[offset + 1] = bounds[offset + 2] = Infinity;
+        bounds[offset + 3] = bounds[offset + 4] = bounds[offset + 5] = -Infinity;
+
+        for (let i = start; i < end; i++) {
+            const base = this.triangleIndices[i] * 9;
+            for (let v = 0; v < 9; v += 3) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const value = this.positions[base + v + axis];
+                    if (value < bounds[offset + axis]) bounds[offset + axis] = value;
+                    if (value > bounds[offset + 3 + axis]) bounds[offset + 3 + axis] = value;
+                }
+            }
+        }
+    }
+
+    // Find the nearest triangle crossed by the segment from start to end
+    // Returns { triangle, t } with t the hit position along the segment (0-1), or null
+    closestSegmentHit(start, end) {
+        if (this.nodesUsed === 0) return null;
+
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const dz = end.z - start.z;
+        const origin = [start.x, start.y, start.z];
+        const inverseDirection = [1 / dx, 1 / dy, 1 / dz];
+
+        let closest = null;
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            // Skip nodes that start beyond the closest hit found so far
+            const maxT = closest ? closest.t : 1;
+            if (!this.segmentHitsBox(node, origin, inverseDirection, maxT)) continue;
+
+            if (this.nodeLeft[node] === -1) {
+                const first = this.nodeStart[node];
+                const last = first + this.nodeCount[node];
+                for (let i = first; i < last; i++) {
+                    const tri = this.triangleIndices[i];
+                    const t = this.intersectTriangle(tri, start, dx, dy, dz);
+                    if (t >= 0 && (!closest || t < closest.t)) {
+                        closest = { triangle: tri, t };
+                    }
+                }
+            } else {
+                stack.push(this.nodeLeft[node], this.nodeRight[node]);
+            }
+        }
+
+        return closest;
+    }
+
+    // Slab test of the segment (parameter 0 to maxT) against a node's bounds
+    segmentHitsBox(node, origins, inverses, maxT = 1) {
+        const b = this.nodeBounds;
+        const offset = node * 6;
+        let tMin = 0;
+        let tMax = maxT;
+
+        for (let axis = 0; axis < 3; axis++) {
+            let t1 = (b[offset + axis] - origins[axis]) * inverses[axis];
+            let t2 = (b[offset + 3 + axis] - origins[axis]) * inverses[axis];
+
+            // Segment parallel to this slab: inside if the origin lies between the planes
+            if (Number.isNaN(t1) || Number.isNaN(t2)) {
+                if (origins[axis] < b[offset + axis] || origins[axis] > b[offset + 3 + axis]) return false;
+                continue;
+            }
+
+            if (t1 > t2) {
+                const tmp = t1;
+                t1 = t2;
+                t2 = tmp;
+            }
+            if (t1 > tMin) tMin = t1;
+            if (t2 < tMax) tMax = t2;
+            if (tMin > tMax) return false;
+        }
+
+        return true;
+    }
+
+    // Möller–Trumbore test, double sided. Returns the segment parameter (0-1) or -1 for a miss
+    intersectTriangle(tri, start, dx, dy, dz) {
+        const p = this.positions;
+        const base = tri * 9;
+        const v0x = p[base], v0y = p[base + 1], v0z = p[base + 2];
+        const e1x = p[base + 3] - v0x, e1y = p[base + 4] - v0y, e1z = p[base + 5] - v0z;
+        const e2x = p[base + 6] - v0x, e2y = p[base + 7] - v0y, e2z = p[base + 8] - v0z;
+
+        const px = dy * e2z - dz * e2y;
+        const py = dz * e2x - dx * e2z;
+        const pz = dx * e2y - dy * e2x;
+        const det = e1x * px + e1y * py + e1z * pz;
+        if (Math.abs(det) < DETERMINANT_EPSILON) return -1;
+
+        const invDet = 1 / det;
+        const sx = start.x - v0x, sy = start.y - v0y, sz = start.z - v0z;
+        const u = (sx * px + sy * py + sz * pz) * invDet;
+        if (u < 0 || u > 1) return -1;
+
+        const qx = sy * e1z - sz * e1y;
+        const qy = sz * e1x - sx * e1z;
+        const qz = sx * e1y - sy * e1x;
+        const v = (dx * qx + dy * qy + dz * qz) * invDet;
+        if (v < 0 || u + v > 1) return -1;
+
+        const t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+        return t >= 0 && t <= 1 ? t : -1;
+    }
+}
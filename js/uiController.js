@@ -1,4 +1,17 @@
 // Handles UI interactions and updates
+import { SimulationEngine } from './simulationEngine.js';
+import { Colormap } from './colormap.js';
+import { HeatmapExporter } from './heatmapExporter.js';
+import { HeatmapGenerator } from './heatmapGenerator.js';
+import { ResultAnalysis } from './resultAnalysis.js';
+import { SweepPanel } from './sweepPanel.js';
+import { OptimizerPanel } from './optimizerPanel.js';
+import { PopulationPanel } from './populationPanel.js';
+import { FaceInspector } from './faceInspector.js';
+import { HtmlText } from './htmlText.js';
+import { TrajectoryOverlay } from './trajectoryOverlay.js';
+import { DropletPlayback } from './dropletPlayback.js';
+import { ConvergenceChart } from './convergenceChart.js';
 
 export class UIController {
     constructor(sourcePointManager, sceneManager, modelLoader, simulationRunner) {
@@ -8,7 +21,39 @@ export class UIController {
         this.simulationRunner = simulationRunner;
         
         // Store simulation parameters
-        this.forceValue = 50;
+        // The stream force is entered either as an exit velocity (m/s) or as a
+        // flow rate (mL/s) through a stream of the given diameter (mm)
+        this.forceMode = 'velocity';
+        this.exitVelocity = 2.5;
+        this.flowRate = 20;
+        this.streamDiameter = 4;
+        this.modelUnits = 'm';
+        this.timeBudget = 0; // seconds, 0 means no limit
+        this.advancedParameters = {};
+        
+        // Latest run, and the run pinned as the baseline to compare against
+        this.lastResults = null;
+        this.lastRunLabel = '';
+        this.baselineResults = null;
+        this.baselineLabel = '';
+        this.comparison = null;
+        this.showDelta = true;
+        
+        // Colormap and range shared by the heatmap, floor map, chart and legend
+        this.colorSettings = { ...Colormap.DEFAULT_COLOR_SETTINGS };
+        
+        this.sweepPanel = new SweepPanel(this);
+        this.optimizerPanel = new OptimizerPanel(this);
+        this.populationPanel = new PopulationPanel(this);
+        this.faceInspector = new FaceInspector(this);
+        
+        // Trajectory lines and impact markers. Runs record every trajectoryStride-th trajectory
+        // for them, and for the playback, only while showTrajectories is on
+        this.trajectoryOverlay = new TrajectoryOverlay(this.sceneManager.getScene());
+        this.showTrajectories = false;
+        this.trajectoryStride = 1;
+        
+        this.playback = new DropletPlayback(this);
     }
     
     setupEventListeners() {
@@ -25,18 +70,68 @@ export class UIController {
             console.warn('Element not found: model-upload');
         }
         
-        // Force slider control
-        const forceSlider = document.getElementById('force-slider');
-        if (forceSlider) {
-            forceSlider.addEventListener('input', (e) => {
-                this.forceValue = parseInt(e.target.value);
-                const forceValueEl = document.getElementById('force-value');
-                if (forceValueEl) {
-                    forceValueEl.textContent = this.forceValue;
+        // Units the model file was exported in, rescales the current model when changed
+        const modelUnits = document.getElementById('model-units');
+        if (modelUnits) {
+            this.modelUnits = modelUnits.value;
+            modelUnits.addEventListener('change', (e) => {
+                this.modelUnits = e.target.value;
+                this.rescaleModel();
+            });
+        } else {
+            console.warn('Element not found: model-units');
+        }
+        
+        this.setupForceControls();
+        this.setupSourceControls();
+        
+        // Stream spread and jitter controls
+        const spreadSlider = document.getElementById('spread-slider');
+        if (spreadSlider) {
+            spreadSlider.addEventListener('input', (e) => {
+                const spreadAngle = parseInt(e.target.value);
+                this.sourcePointManager.setSpreadAngle(spreadAngle);
+                const spreadValueEl = document.getElementById('spread-value');
+                if (spreadValueEl) {
+                    spreadValueEl.textContent = spreadAngle;
                 }
             });
         } else {
-            console.warn('Element not found: force-slider');
+            console.warn('Element not found: spread-slider');
+        }
+        
+        const jitterSelect = document.getElementById('jitter-select');
+        if (jitterSelect) {
+            jitterSelect.addEventListener('change', (e) => {
+                this.sourcePointManager.setJitter(e.target.value);
+            });
+        } else {
+            console.warn('Element not found: jitter-select');
+        }
+        
+        // User zone controls, initialised from the source point manager's zone
+        this.setupUserZoneControls();
+        
+        // Advanced simulation parameters, initialised from the engine defaults
+        const parameterInputs = document.querySelectorAll('[data-param]');
+        parameterInputs.forEach((input) => {
+            const name = input.dataset.param;
+            input.value = SimulationEngine.DEFAULT_PARAMETERS[name];
+            input.addEventListener('change', () => {
+                this.advancedParameters[name] = input.tagName === 'SELECT' ? input.value : parseFloat(input.value);
+                this.validateAdvancedParameters();
+            });
+        });
+        
+        // Time budget input
+        const timeBudgetInput = document.getElementById('time-budget');
+        if (timeBudgetInput) {
+            timeBudgetInput.addEventListener('change', (e) => {
+                this.timeBudget = Math.max(0, parseFloat(e.target.value) || 0);
+                e.target.value = this.timeBudget;
+            });
+        } else {
+            console.warn('Element not found: time-budget');
         }
         
         // Buttons
@@ -54,6 +149,29 @@ export class UIController {
             console.warn('Element not found: reset-view');
         }
         
+        this.setupComparisonControls();
+        this.setupColorControls();
+        this.setupTrajectoryControls();
+        this.sweepPanel.setupEventListeners();
+        this.optimizerPanel.setupEventListeners();
+        this.populationPanel.setupEventListeners();
+        this.faceInspector.setupEventListeners();
+        this.playback.setupEventListeners();
+        
+        const exportButton = document.getElementById('export-heatmap');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportHeatmap());
+        } else {
+            console.warn('Element not found: export-heatmap');
+        }
+        
+        const cancelButton = document.getElementById('cancel-simulation');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.simulationRunner.cancel());
+        } else {
+            console.warn('Element not found: cancel-simulation');
+        }
+        
         // Add mouse event listeners for source point interaction
         const renderer = this.sceneManager.getRenderer().domElement;
         if (renderer) {
@@ -66,12 +184,565 @@ export class UIController {
         }
     }
     
+    setupUserZoneControls() {
+        const zone = this.sourcePointManager.userZone;
+        
+        const enabledInput = document.getElementById('zone-enabled');
+        if (enabledInput) {
+            enabledInput.checked = zone.enabled;
+            enabledInput.addEventListener('change', (e) => {
+                this.sourcePointManager.setUserZone({ enabled: e.target.checked });
+            });
+        } else {
+            console.warn('Element not found: zone-enabled');
+        }
+        
+        const shapeSelect = document.getElementById('zone-shape');
+        if (shapeSelect) {
+            shapeSelect.value = zone.shape;
+            shapeSelect.addEventListener('change', (e) => {
+                this.sourcePointManager.setUserZone({ shape: e.target.value });
+                this.updateZoneShapeControls();
+            });
+        } else {
+            console.warn('Element not found: zone-shape');
+        }
+        
+        // Dimension inputs name their field as "radius" or "offset.x"
+        document.querySelectorAll('[data-zone]').forEach((input) => {
+            const [field, axis] = input.dataset.zone.split('.');
+            input.value = axis ? zone[field][axis] : zone[field];
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                const current = this.sourcePointManager.userZone[field];
+                this.sourcePointManager.setUserZone({
+                    [field]: axis ? { ...current, [axis]: value } : value
+                });
+                this.validateAdvancedParameters();
+            });
+        });
+        
+        this.updateZoneShapeControls();
+    }
+    
+    // Pin a run as the baseline and show later runs as a change from it
+    setupComparisonControls() {
+        const pinButton = document.getElementById('pin-baseline');
+        if (pinButton) {
+            pinButton.addEventListener('click', () => this.pinBaseline());
+        } else {
+            console.warn('Element not found: pin-baseline');
+        }
+        
+        const clearButton = document.getElementById('clear-baseline');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.clearBaseline());
+        } else {
+            console.warn('Element not found: clear-baseline');
+        }
+        
+        const showDelta = document.getElementById('show-delta');
+        if (showDelta) {
+            showDelta.checked = this.showDelta;
+            showDelta.addEventListener('change', (e) => {
+                this.showDelta = e.target.checked;
+                this.applyResultsHeatmap();
+            });
+        } else {
+            console.warn('Element not found: show-delta');
+        }
+    }
+    
+    // Toggle the trajectory overlay and how many of the trajectories the next run records
+    setupTrajectoryControls() {
+        const showInput = document.getElementById('show-trajectories');
+        if (showInput) {
+            showInput.checked = this.showTrajectories;
+            showInput.addEventListener('change', (e) => {
+                this.showTrajectories = e.target.checked;
+                this.updateTrajectoryOverlay();
+            });
+        } else {
+            console.warn('Element not found: show-trajectories');
+        }
+        
+        const strideInput = document.getElementById('trajectory-stride');
+        if (strideInput) {
+            strideInput.value = this.trajectoryStride;
+            strideInput.addEventListener('change', (e) => {
+                const stride = parseInt(e.target.value, 10);
+                if (!(stride >= 1)) {
+                    e.target.value = this.trajectoryStride;
+                    return;
+                }
+                this.trajectoryStride = stride;
+            });
+        } else {
+            console.warn('Element not found: trajectory-stride');
+        }
+    }
+    
+    // Redraw the overlay for the latest run, or remove it
+    updateTrajectoryOverlay() {
+        const countEl = document.getElementById('trajectory-count');
+        if (!this.showTrajectories || !this.lastResults) {
+            this.trajectoryOverlay.clear();
+            if (countEl) countEl.textContent = '';
+            return;
+        }
+        
+        if (!this.lastResults.paths) {
+            this.trajectoryOverlay.clear();
+            if (countEl) countEl.textContent = 'Run the simulation again to record its trajectories.';
+            return;
+        }
+        
+        const drawn = this.trajectoryOverlay.show(this.lastResults, this.colorSettings);
+        if (countEl) {
+            countEl.textContent = `Showing ${drawn.trajectories} of ${this.lastResults.tracedTrajectories} trajectories and ${drawn.impacts} of ${this.lastResults.impacts.length} impacts.`;
+        }
+    }
+    
+    pinBaseline() {
+        if (!this.lastResults) return;
+        
+        const hadComparison = this.comparison !== null;
+        this.baselineResults = this.lastResults;
+        this.baselineLabel = this.lastRunLabel;
+        this.comparison = null;
+        if (hadComparison) this.applyResultsHeatmap();
+        this.updateComparisonControls();
+        document.getElementById('baseline-info').textContent = `Baseline: ${this.baselineLabel}. Change the setup and run again to compare.`;
+    }
+    
+    clearBaseline() {
+        const hadComparison = this.comparison !== null;
+        this.baselineResults = null;
+        this.comparison = null;
+        if (hadComparison) this.applyResultsHeatmap();
+        this.updateComparisonControls();
+        document.getElementById('baseline-info').textContent = 'Pin a run as the baseline, change the setup and run again to compare.';
+    }
+    
+    // Forget runs that no longer match the model in the scene
+    resetResults() {
+        this.playback.stop();
+        this.lastResults = null;
+        this.faceInspector.clear();
+        this.updateTrajectoryOverlay();
+        this.updateConvergenceChart();
+        this.clearBaseline();
+        this.setExportEnabled(false);
+        this.playback.updateControls();
+    }
+    
+    updateComparisonControls() {
+        const pinButton = document.getElementById('pin-baseline');
+        if (pinButton) pinButton.disabled = !this.lastResults;
+        const clearButton = document.getElementById('clear-baseline');
+        if (clearButton) clearButton.disabled = !this.baselineResults;
+    }
+    
+    // Show either the latest run's heatmap or its change from the baseline
+    applyResultsHeatmap() {
+        const currentModel = this.sceneManager.getCurrentModel();
+        if (!currentModel || !this.lastResults) return;
+        
+        // The playback owns the model's colors until it is stopped
+        if (this.playback.active) {
+            this.playback.redrawSurfaces();
+            return;
+        }
+        
+        if (this.comparison && this.showDelta) {
+            const scale = HeatmapGenerator.applyDeltaHeatmap(currentModel, this.lastResults, this.comparison, this.colorSettings);
+            this.updateLegend(scale, 'Change in splashback from baseline');
+        } else {
+            const scale = HeatmapGenerator.applyHeatmap(currentModel, this.lastResults, this.colorSettings);
+            this.updateLegend(scale, 'Splashback factor');
+        }
+    }
+    
+    // Colormap, auto or fixed range, and the range's ends
+    setupColorControls() {
+        const colormapSelect = document.getElementById('colormap-select');
+        const rangeSelect = document.getElementById('color-range');
+        const minInput = document.getElementById('color-min');
+        const maxInput = document.getElementById('color-max');
+        if (!colormapSelect || !rangeSelect || !minInput || !maxInput) {
+            console.warn('Element not found: colormap controls');
+            return;
+        }
+        
+        colormapSelect.value = this.colorSettings.colormap;
+        rangeSelect.value = this.colorSettings.range;
+        minInput.value = this.colorSettings.min;
+        maxInput.value = this.colorSettings.max;
+        
+        const onChange = () => {
+            const settings = {
+                colormap: colormapSelect.value,
+                range: rangeSelect.value,
+                min: parseFloat(minInput.value),
+                max: parseFloat(maxInput.value)
+            };
+            this.updateColorRangeControls(settings.range);
+            
+            const errorEl = document.getElementById('color-error');
+            try {
+                this.colorSettings = Colormap.validateColorSettings(settings);
+                if (errorEl) errorEl.textContent = '';
+            } catch (error) {
+                if (errorEl) errorEl.textContent = error.message;
+                return;
+            }
+            this.applyColorSettings();
+        };
+        
+        colormapSelect.addEventListener('change', onChange);
+        rangeSelect.addEventListener('change', onChange);
+        minInput.addEventListener('change', onChange);
+        maxInput.addEventListener('change', onChange);
+        
+        this.updateColorRangeControls(this.colorSettings.range);
+        this.updateLegend(Colormap.createColorScale(this.colorSettings, 0, 1), 'Splashback factor');
+    }
+    
+    // Only show the range inputs for a fixed range
+    updateColorRangeControls(range) {
+        document.querySelectorAll('.color-range-fixed-only').forEach((el) => {
+            el.style.display = range === 'fixed' ? '' : 'none';
+        });
+    }
+    
+    // Recolor everything drawn from results without running again
+    applyColorSettings() {
+        if (this.lastResults) {
+            this.applyResultsHeatmap();
+            this.sceneManager.setFloorContamination(this.lastResults.floorContamination, this.colorSettings);
+            this.updateTrajectoryOverlay();
+        } else {
+            this.updateLegend(Colormap.createColorScale(this.colorSettings, 0, 1), 'Splashback factor');
+        }
+        this.sweepPanel.drawChart();
+    }
+    
+    // Draw the legend from the color scale the heatmap used
+    updateLegend(scale, title) {
+        const canvas = document.getElementById('legend-canvas');
+        if (canvas) Colormap.drawLegend(canvas, scale, title);
+    }
+    
+    // Splashback per mesh, only worth showing when the model has more than one
+    formatMeshStats(results) {
+        const meshes = ResultAnalysis.summarizeMeshes(results);
+        if (meshes.length < 2) return '';
+        
+        const rows = meshes.map((mesh, i) => `<tr>
+            <td>${HtmlText.escapeHtml(mesh.name || `Mesh ${i + 1}`)}</td>
+            <td>${mesh.faceCount}</td>
+            <td>${mesh.facesHit}</td>
+            <td>${mesh.averageSplashback.toFixed(3)}</td>
+            <td>${mesh.maxSplashback.toFixed(3)}</td>
+        </tr>`).join('');
+        
+        return `
+            <table class="mesh-table">
+                <tr><th>Mesh</th><th>Faces</th><th>Hit</th><th>Average</th><th>Worst</th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+    
+    // The run's error estimate, to show whether more directions would change the result
+    formatSamplingStats(results) {
+        const sampling = results.sampling;
+        if (!sampling || !sampling.splashbackPerTrajectory) return '';
+        
+        const estimate = sampling.splashbackPerTrajectory;
+        const relative = estimate.mean > 0 ? estimate.halfWidth / estimate.mean : 0;
+        return `
+            <p>Splashback per trajectory: ${estimate.mean.toFixed(3)} ± ${estimate.halfWidth.toFixed(3)} (95% CI, ±${(relative * 100).toFixed(1)}%)
+            from ${estimate.samples} directions, ${sampling.sampler} sampler${sampling.seed !== null ? ` with seed ${sampling.seed}` : ''}</p>
+        `;
+    }
+    
+    // Chart how the latest run's estimate settled, hidden for runs without one
+    updateConvergenceChart() {
+        const panel = document.getElementById('run-convergence');
+        if (!panel) return;
+        
+        const sampling = this.lastResults && this.lastResults.sampling;
+        panel.hidden = !sampling || sampling.convergence.length === 0;
+        if (panel.hidden) return;
+        ConvergenceChart.drawConvergenceChart(document.getElementById('run-convergence-chart'), sampling.convergence, {
+            x: 'Traced trajectories',
+            y: 'Splashback per trajectory'
+        });
+    }
+    
+    // Each source's own figures when several were simulated together
+    formatSourceStats(results) {
+        if (!results.sources) return '';
+        
+        const hasUserZone = results.sources.some(source => source.userStreamFraction !== null);
+        const rows = results.sources.map((source, i) => `<tr>
+            <td>${i + 1}</td>
+            <td>${(source.weight * 100).toFixed(0)}%</td>
+            <td>${source.exitVelocity.toFixed(2)}</td>
+            <td>${source.averageSplashback.toFixed(3)}</td>
+            <td>${source.maxSplashback.toFixed(3)}</td>
+            <td>${source.floorDroplets.toFixed(1)}</td>
+            ${hasUserZone ? `<td>${(source.userStreamFraction * 100).toFixed(2)}%</td>` : ''}
+        </tr>`).join('');
+        
+        return `
+            <p>The figures above combine the sources by weight.</p>
+            <table class="mesh-table">
+                <tr><th>Source</th><th>Share</th><th>m/s</th><th>Average</th><th>Worst</th><th>Floor</th>${hasUserZone ? '<th>On user</th>' : ''}</tr>
+                ${rows}
+            </table>
+        `;
+    }
+    
+    // Table of baseline, current and change for the compared summary metrics
+    formatComparison(comparison) {
+        const labels = {
+            averageSplashback: 'Average splashback',
+            maxSplashback: 'Worst splashback',
+            minSplashback: 'Best splashback',
+            hitCoverage: 'Hit coverage'
+        };
+        const format = (metric, value) => metric === 'hitCoverage'
+            ? `${(value * 100).toFixed(2)}%`
+            : value.toFixed(3);
+        
+        const rows = ResultAnalysis.COMPARED_METRICS.map(metric => {
+            const change = comparison.changes[metric];
+            const sign = change > 0 ? '+' : '';
+            // More splashback is worse, hit coverage is shown without judgement
+            const className = metric === 'hitCoverage' || change === 0 ? '' : (change > 0 ? 'worse' : 'better');
+            return `<tr>
+                <td>${labels[metric]}</td>
+                <td>${format(metric, comparison.baseline[metric])}</td>
+                <td>${format(metric, comparison.current[metric])}</td>
+                <td class="${className}">${sign}${format(metric, change)}</td>
+            </tr>`;
+        }).join('');
+        
+        return `
+            <p><strong>Compared with baseline</strong> (${this.baselineLabel})</p>
+            <table class="compare-table">
+                <tr><th></th><th>Baseline</th><th>Current</th><th>Change</th></tr>
+                ${rows}
+            </table>
+            <p>${comparison.facesWorse} faces got more splashback, ${comparison.facesBetter} got less</p>
+        `;
+    }
+    
+    // Numeric source position, grid snapping for dragging and undo/redo of moves
+    setupSourceControls() {
+        const sourcePointManager = this.sourcePointManager;
+        
+        for (const axis of ['x', 'y', 'z']) {
+            const input = document.getElementById(`source-${axis}`);
+            if (!input) {
+                console.warn(`Element not found: source-${axis}`);
+                continue;
+            }
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value)) {
+                    sourcePointManager.updatePositionControls();
+                    return;
+                }
+                const position = sourcePointManager.getSourcePoint();
+                position[axis] = value;
+                sourcePointManager.setSourcePosition(position.x, position.y, position.z);
+            });
+        }
+        
+        const snapSelect = document.getElementById('source-snap');
+        if (snapSelect) {
+            sourcePointManager.setSnapStep(parseFloat(snapSelect.value));
+            snapSelect.addEventListener('change', (e) => {
+                sourcePointManager.setSnapStep(parseFloat(e.target.value));
+            });
+        } else {
+            console.warn('Element not found: source-snap');
+        }
+        
+        // Sources to simulate together, each with its own force and weight
+        const addButton = document.getElementById('add-source');
+        if (addButton) {
+            addButton.addEventListener('click', () => sourcePointManager.addSource());
+        } else {
+            console.warn('Element not found: add-source');
+        }
+        
+        const sourceList = document.getElementById('source-list');
+        if (sourceList) {
+            sourceList.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (!button) return;
+                if (button.dataset.sourceSelect !== undefined) {
+                    sourcePointManager.selectSource(parseInt(button.dataset.sourceSelect, 10));
+                } else if (button.dataset.sourceRemove !== undefined) {
+                    sourcePointManager.removeSource(parseInt(button.dataset.sourceRemove, 10));
+                }
+            });
+            // A blank exit velocity falls back to the stream force, anything else invalid is put back
+            sourceList.addEventListener('change', (e) => {
+                const { sourceIndex, sourceField } = e.target.dataset;
+                if (sourceIndex === undefined) return;
+                const index = parseInt(sourceIndex, 10);
+                const value = parseFloat(e.target.value);
+                if (sourceField === 'exitVelocity' && e.target.value.trim() === '') {
+                    sourcePointManager.setSourceExitVelocity(index, null);
+                } else if (sourceField === 'exitVelocity' && Number.isFinite(value) && value > 0) {
+                    sourcePointManager.setSourceExitVelocity(index, value);
+                } else if (sourceField === 'weight' && Number.isFinite(value) && value >= 0) {
+                    sourcePointManager.setSourceWeight(index, value);
+                } else {
+                    sourcePointManager.renderSourceList();
+                }
+            });
+        } else {
+            console.warn('Element not found: source-list');
+        }
+        
+        const undoButton = document.getElementById('source-undo');
+        if (undoButton) {
+            undoButton.addEventListener('click', () => sourcePointManager.undo());
+        } else {
+            console.warn('Element not found: source-undo');
+        }
+        
+        const redoButton = document.getElementById('source-redo');
+        if (redoButton) {
+            redoButton.addEventListener('click', () => sourcePointManager.redo());
+        } else {
+            console.warn('Element not found: source-redo');
+        }
+        
+        // Ctrl+Z undoes a move, Ctrl+Shift+Z or Ctrl+Y redoes it. Text fields keep their own undo
+        window.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+            if (e.target.closest && e.target.closest('input, select, textarea')) return;
+            if (document.getElementById('loading-overlay').style.display === 'flex') return;
+            
+            const moved = key === 'y' || e.shiftKey ? sourcePointManager.redo() : sourcePointManager.undo();
+            if (moved) e.preventDefault();
+        });
+        
+        sourcePointManager.renderSourceList();
+        sourcePointManager.updatePositionControls();
+    }
+    
+    // Stream force as an exit velocity or a flow rate through a stream diameter
+    setupForceControls() {
+        const forceMode = document.getElementById('force-mode');
+        if (forceMode) {
+            forceMode.value = this.forceMode;
+            forceMode.addEventListener('change', (e) => {
+                this.forceMode = e.target.value;
+                this.updateForceControls();
+            });
+        } else {
+            console.warn('Element not found: force-mode');
+        }
+        
+        const inputs = {
+            'exit-velocity': 'exitVelocity',
+            'flow-rate': 'flowRate',
+            'stream-diameter': 'streamDiameter'
+        };
+        for (const [id, field] of Object.entries(inputs)) {
+            const input = document.getElementById(id);
+            if (!input) {
+                console.warn(`Element not found: ${id}`);
+                continue;
+            }
+            input.value = this[field];
+            input.addEventListener('input', () => {
+                this[field] = parseFloat(input.value);
+                this.updateForceControls();
+            });
+        }
+        
+        this.updateForceControls();
+    }
+    
+    // Show the inputs for the selected force mode and the velocity a flow rate works out to
+    updateForceControls() {
+        document.querySelectorAll('.force-velocity-only').forEach((el) => {
+            el.style.display = this.forceMode === 'velocity' ? '' : 'none';
+        });
+        document.querySelectorAll('.force-flow-only').forEach((el) => {
+            el.style.display = this.forceMode === 'flowRate' ? '' : 'none';
+        });
+        
+        const flowVelocityEl = document.getElementById('flow-velocity');
+        if (flowVelocityEl) {
+            const velocity = this.getExitVelocity();
+            flowVelocityEl.textContent = Number.isFinite(velocity) && velocity > 0
+                ? `Exit velocity: ${velocity.toFixed(2)} m/s`
+                : 'Enter a flow rate and stream diameter greater than 0';
+        }
+    }
+    
+    // Exit velocity of the stream in m/s from whichever force input is active
+    getExitVelocity() {
+        if (this.forceMode === 'flowRate') {
+            return SimulationEngine.exitVelocityFromFlowRate(this.flowRate, this.streamDiameter);
+        }
+        return this.exitVelocity;
+    }
+    
+    // Only show the dimension inputs that apply to the selected zone shape
+    updateZoneShapeControls() {
+        const shape = this.sourcePointManager.userZone.shape;
+        document.querySelectorAll('.zone-box-only').forEach((el) => {
+            el.style.display = shape === 'box' ? '' : 'none';
+        });
+        document.querySelectorAll('.zone-capsule-only').forEach((el) => {
+            el.style.display = shape === 'capsule' ? '' : 'none';
+        });
+    }
+    
+    // Collect the full parameters object: advanced settings plus the source's stream and user zone
+    getSimulationParameters() {
+        return {
+            ...this.advancedParameters,
+            ...this.sourcePointManager.getStream(),
+            userZone: this.sourcePointManager.getUserZone()
+        };
+    }
+    
+    // Show any problem with the advanced parameters below the inputs
+    validateAdvancedParameters() {
+        const errorEl = document.getElementById('advanced-error');
+        try {
+            SimulationEngine.validateParameters(this.getSimulationParameters());
+            if (errorEl) errorEl.textContent = '';
+            return true;
+        } catch (error) {
+            if (errorEl) errorEl.textContent = error.message;
+            return false;
+        }
+    }
+    
     loadModel(file) {
         this.showLoading(true);
         
-        this.modelLoader.loadModel(file)
+        this.modelLoader.loadModel(file, this.modelUnits)
             .then(model => {
+                this.sceneManager.clearFloorContamination();
+                this.resetResults();
                 this.sceneManager.setCurrentModel(model);
+                this.sourcePointManager.setModelBounds(model);
                 this.sceneManager.resetView();
                 this.showLoading(false);
                 document.getElementById('stats').innerHTML = '<p>Model loaded. Run the simulation to analyze splashback.</p>';
@@ -79,10 +750,23 @@ export class UIController {
             .catch(error => {
                 console.error('Error loading model:', error);
                 this.showLoading(false);
-                document.getElementById('stats').innerHTML = `<p class="error">Error loading model: ${error.message}</p>`;
+                document.getElementById('stats').innerHTML = `<p class="error">Error loading model: ${HtmlText.escapeHtml(error.message)}</p>`;
             });
     }
     
+    // Apply the selected units to the model already in the scene
+    rescaleModel() {
+        const currentModel = this.sceneManager.getCurrentModel();
+        if (!currentModel) return;
+        
+        this.modelLoader.applyUnits(currentModel, this.modelUnits);
+        this.sourcePointManager.setModelBounds(currentModel);
+        this.sceneManager.clearFloorContamination();
+        this.resetResults();
+        this.sceneManager.resetView();
+        document.getElementById('stats').innerHTML = '<p>Model units changed. Run the simulation again to update the results.</p>';
+    }
+    
     runSimulation() {
         const currentModel = this.sceneManager.getCurrentModel();
         if (!currentModel) {
@@ -90,37 +774,183 @@ export class UIController {
             return;
         }
         
-        this.showLoading(true);
+        // Ignore repeated clicks while a run is in progress
+        if (this.simulationRunner.isRunning()) return;
         
-        // Run simulation in next tick to allow UI updates
-        setTimeout(() => {
-            try {
-                const sourcePoint = this.sourcePointManager.getSourcePoint();
-                const results = this.simulationRunner.runSimulation(
-                    currentModel,
-                    sourcePoint,
-                    this.forceValue
-                );
-                
-                // Update stats display
-                const statsHtml = `
-                    <p>Simulation complete!</p>
-                    <p>Average splashback factor: ${results.averageSplashback.toFixed(2)}</p>
-                    <p>Worst splashback area: ${results.maxSplashback.toFixed(2)}</p>
-                    <p>Best splashback area: ${results.minSplashback.toFixed(2)}</p>
-                `;
-                document.getElementById('stats').innerHTML = statsHtml;
-                
+        const exitVelocity = this.getExitVelocity();
+        if (!(Number.isFinite(exitVelocity) && exitVelocity > 0)) {
+            document.getElementById('stats').innerHTML = '<p class="error">Enter a stream force greater than 0.</p>';
+            return;
+        }
+        
+        this.playback.stop();
+        this.showLoading(true, true);
+        
+        // Several sources are simulated together as one weighted result
+        const sourcePoint = this.sourcePointManager.getSourcePoint();
+        const sources = this.sourcePointManager.getSources(exitVelocity);
+        const parameters = this.getSimulationParameters();
+        this.simulationRunner.runSimulation(currentModel, sources.length > 1 ? sources : sourcePoint, exitVelocity, parameters, {
+            timeBudget: this.timeBudget * 1000,
+            onProgress: (percent) => this.updateProgress(percent),
+            colorSettings: this.colorSettings,
+            recordPaths: this.showTrajectories,
+            pathStride: this.trajectoryStride
+        })
+            .then(results => {
+                const label = sources.length > 1
+                    ? `${sources.length} weighted sources`
+                    : `${exitVelocity.toFixed(2)} m/s from (${sourcePoint.x.toFixed(2)}, ${sourcePoint.y.toFixed(2)}, ${sourcePoint.z.toFixed(2)})`;
+                const headline = `Simulation complete! (${sources.length > 1 ? `${sources.length} sources` : `exit velocity ${exitVelocity.toFixed(2)} m/s`})`;
+                this.showRunResults(results, label, headline);
                 this.showLoading(false);
-            } catch (error) {
-                console.error('Simulation error:', error);
-                document.getElementById('stats').innerHTML = `<p class="error">Simulation failed: ${error.message}</p>`;
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    document.getElementById('stats').innerHTML = '<p>Simulation cancelled.</p>';
+                } else {
+                    console.error('Simulation error:', error);
+                    document.getElementById('stats').innerHTML = `<p class="error">Simulation failed: ${HtmlText.escapeHtml(error.message)}</p>`;
+                }
                 this.showLoading(false);
+            });
+    }
+    
+    // Show a finished run whose heatmap the runner has applied: floor map, stats, comparison
+    // with the baseline and the views drawn from the latest results
+    // label names the run when it becomes the baseline; extraHtml follows the headline
+    showRunResults(results, label, headline, extraHtml = '') {
+        // Note when the time budget cut the run short
+        const budgetNote = results.completed ? '' :
+            `<p>Time budget reached: ${results.tracedTrajectories} of ${results.totalTrajectories} trajectories traced</p>`;
+        
+        // Draw where droplets ended up on the floor
+        this.sceneManager.setFloorContamination(results.floorContamination, this.colorSettings);
+        const floor = results.floorContamination;
+        
+        // Headline exposure figure when a user zone is defined
+        const exposure = results.userExposure;
+        const exposureHtml = exposure ? `
+            <p><strong>Splash on user: ${exposure.droplets} droplets, ${(exposure.streamFraction * 100).toFixed(2)}% of the stream</strong></p>
+            <p>Rebound energy reaching the user: ${exposure.energyPerKg.toFixed(3)} J per kg of stream</p>
+        ` : '';
+        
+        // Compare with the pinned baseline, if any
+        this.lastResults = results;
+        this.faceInspector.clear();
+        this.updateTrajectoryOverlay();
+        this.updateConvergenceChart();
+        this.lastRunLabel = label;
+        let comparisonHtml = '';
+        this.comparison = null;
+        if (this.baselineResults) {
+            try {
+                this.comparison = ResultAnalysis.compareResults(this.baselineResults, results);
+                comparisonHtml = this.formatComparison(this.comparison);
+            } catch (error) {
+                comparisonHtml = `<p class="error">${HtmlText.escapeHtml(error.message)}</p>`;
             }
-        }, 100);
+        }
+        // The runner has already applied this run's heatmap, switch to the change when comparing
+        if (this.comparison && this.showDelta) {
+            this.applyResultsHeatmap();
+        } else {
+            this.updateLegend(Colormap.createColorScale(this.colorSettings, results.minSplashback, results.maxSplashback), 'Splashback factor');
+        }
+        this.updateComparisonControls();
+        this.playback.updateControls();
+        
+        // Update stats display
+        const statsHtml = `
+            <p>${headline}</p>
+            ${extraHtml}
+            ${budgetNote}
+            ${exposureHtml}
+            <p>Average splashback factor: ${results.averageSplashback.toFixed(2)}</p>
+            <p>Worst splashback area: ${results.maxSplashback.toFixed(2)}</p>
+            <p>Best splashback area: ${results.minSplashback.toFixed(2)}</p>
+            <p>Rebound droplets: ${results.reboundDroplets} (${results.reboundDropletsOnModel} landed back on the fixture)</p>
+            <p>Floor contamination: ${floor.total.toFixed(2)} droplets landed on the floor${floor.outsideGrid > 0 ? ` (${floor.outsideGrid.toFixed(2)} outside the grid)` : ''}</p>
+            ${this.formatSamplingStats(results)}
+            ${this.formatSourceStats(results)}
+            ${this.formatMeshStats(results)}
+            ${comparisonHtml}
+        `;
+        document.getElementById('stats').innerHTML = statsHtml;
+        this.setExportEnabled(true);
+    }
+    
+    // Download the heatmapped model in the selected format
+    exportHeatmap() {
+        const currentModel = this.sceneManager.getCurrentModel();
+        if (!currentModel) return;
+        
+        // Export the finished heatmap, not a moment of the playback
+        this.playback.stop();
+        
+        // Every format carries the run's own heatmap, so the colors match the splashback values
+        // written beside them; the change from the baseline is put back once the export is done
+        const showingDelta = this.comparison && this.showDelta;
+        if (showingDelta) {
+            HeatmapGenerator.applyHeatmap(currentModel, this.lastResults, this.colorSettings);
+        }
+        
+        const formatSelect = document.getElementById('export-format');
+        const format = formatSelect ? formatSelect.value : 'ply';
+        
+        let exported;
+        if (format === 'glb') {
+            exported = HeatmapExporter.exportGLB(currentModel);
+        } else if (format === 'png') {
+            exported = Promise.resolve().then(() => HeatmapExporter.exportPNG(currentModel, this.lastResults, this.colorSettings));
+        } else {
+            exported = Promise.resolve().then(() => HeatmapExporter.exportPLY(currentModel));
+        }
+        
+        const types = { glb: 'model/gltf-binary', png: 'image/png', ply: 'application/octet-stream' };
+        exported
+            .then(data => {
+                this.downloadFile(data, `splashback-heatmap.${format}`, types[format]);
+            })
+            .catch(error => {
+                console.error('Export error:', error);
+                document.getElementById('stats').insertAdjacentHTML('beforeend',
+                    `<p class="error">Export failed: ${HtmlText.escapeHtml(error.message)}</p>`);
+            })
+            .finally(() => {
+                if (showingDelta) this.applyResultsHeatmap();
+            });
+    }
+    
+    setExportEnabled(enabled) {
+        const exportButton = document.getElementById('export-heatmap');
+        if (exportButton) exportButton.disabled = !enabled;
+    }
+    
+    downloadFile(data, fileName, type) {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
     
-    showLoading(show) {
+    // Per-frame work, called from the render loop with the real time since the last frame
+    update(deltaSeconds) {
+        this.playback.update(deltaSeconds);
+    }
+    
+    // Show or hide the loading overlay, with a progress bar and cancel button for simulations
+    showLoading(show, withProgress = false) {
         document.getElementById('loading-overlay').style.display = show ? 'flex' : 'none';
+        document.getElementById('progress-container').style.display = show && withProgress ? 'flex' : 'none';
+        document.getElementById('loading-text').textContent = withProgress ? 'Simulating... 0%' : 'Processing...';
+        document.getElementById('progress-fill').style.width = '0%';
+    }
+    
+    updateProgress(percent) {
+        document.getElementById('loading-text').textContent = `Simulating... ${percent}%`;
+        document.getElementById('progress-fill').style.width = `${percent}%`;
     }
 }
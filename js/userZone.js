@@ -0,0 +1,135 @@
+// Geometry of the user exposure zone (legs and shoes) and trajectory tests against it
+
+const ZONE_SHAPES = ['box', 'capsule'];
+
+// Default zone: the lower legs and shoes, just behind a source aimed along -Z
+const DEFAULT_USER_ZONE = {
+    shape: 'box',
+    offset: { x: 0, y: -0.5, z: 0.2 },  // zone centre relative to the source point
+    size: { x: 0.5, y: 1.0, z: 0.35 },   // box dimensions
+    radius: 0.25,                         // capsule radius
+    height: 1.0                           // capsule height, end caps included
+};
+
+// Place a zone definition at its offset from the source point
+function resolveZone(zone, sourcePoint) {
+    return {
+        shape: zone.shape,
+        center: {
+            x: sourcePoint.x + zone.offset.x,
+            y: sourcePoint.y + zone.offset.y,
+            z: sourcePoint.z + zone.offset.z
+        },
+        size: zone.size,
+        radius: zone.radius,
+        height: zone.height
+    };
+}
+
+// Find where a trajectory first enters the zone, looking at segments up to lastSegment
+// Returns { segmentIndex, t } (t along the segment, 0-1) or null if it never does
+function findZoneEntry(trajectoryPoints, zone, lastSegment = trajectoryPoints.length - 1) {
+    for (let i = 1; i <= lastSegment && i < trajectoryPoints.length; i++) {
+        const p1 = trajectoryPoints[i - 1];
+        const p2 = trajectoryPoints[i];
+        const t = zone.shape === 'capsule'
+            ? segmentEntersCapsule(p1, p2, zone)
+            : segmentEntersBox(p1, p2, zone);
+
+        if (t >= 0) {
+            return { segmentIndex: i, t };
+        }
+    }
+
+    return null;
+}
+
+// Slab test against the axis-aligned box. Returns the entry parameter (0-1) or -1
+function segmentEntersBox(p1, p2, zone) {
+    let tMin = 0;
+    let tMax = 1;
+
+    for (const axis of ['x', 'y', 'z']) {
+        const min = zone.center[axis] - zone.size[axis] / 2;
+        const max = zone.center[axis] + zone.size[axis] / 2;
+        const delta = p2[axis] - p1[axis];
+
+        if (delta === 0) {
+            if (p1[axis] < min || p1[axis] > max) return -1;
+            continue;
+        }
+
+        let t1 = (min - p1[axis]) / delta;
+        let t2 = (max - p1[axis]) / delta;
+        if (t1 > t2) {
+            const tmp = t1;
+            t1 = t2;
+            t2 = tmp;
+        }
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return -1;
+    }
+
+    return tMin;
+}
+
+// Closest approach of the segment to the capsule's vertical axis. Returns the
+// parameter (0-1) of the closest point when it lies within the radius, or -1
+function segmentEntersCapsule(p1, p2, zone) {
+    const halfAxis = Math.max(0, zone.height / 2 - zone.radius);
+    const a = { x: zone.center.x, y: zone.center.y - halfAxis, z: zone.center.z };
+
+    // Closest points between segment p1-p2 and axis segment a-b (b = a + axis)
+    const d1 = { x: p2.x - p1.x, y: p2.y - p1.y, z: p2.z - p1.z };
+    const d2 = { x: 0, y: halfAxis * 2, z: 0 };
+    const r = { x: p1.x - a.x, y: p1.y - a.y, z: p1.z - a.z };
+
+    const dot = (u, v) => u.x * v.x + u.y * v.y + u.z * v.z;
+    const aa = dot(d1, d1);
+    const ee = dot(d2, d2);
+    const f = dot(d2, r);
+
+    let s = 0;
+    let t = 0;
+    if (aa === 0 && ee === 0) {
+        s = 0;
+        t = 0;
+    } else if (aa === 0) {
+        t = clamp01(f / ee);
+    } else {
+        const c = dot(d1, r);
+        if (ee === 0) {
+            s = clamp01(-c / aa);
+        } else {
+            const b = dot(d1, d2);
+            const denom = aa * ee - b * b;
+            s = denom !== 0 ? clamp01((b * f - c * ee) / denom) : 0;
+            t = (b * s + f) / ee;
+            if (t < 0) {
+                t = 0;
+                s = clamp01(-c / aa);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp01((b - c) / aa);
+            }
+        }
+    }
+
+    const dx = p1.x + d1.x * s - (a.x + d2.x * t);
+    const dy = p1.y + d1.y * s - (a.y + d2.y * t);
+    const dz = p1.z + d1.z * s - (a.z + d2.z * t);
+    return dx * dx + dy * dy + dz * dz <= zone.radius * zone.radius ? s : -1;
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// Export the functions we need to access from other modules
+export const UserZone = {
+    ZONE_SHAPES,
+    DEFAULT_USER_ZONE,
+    resolveZone,
+    findZoneEntry
+};